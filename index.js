@@ -2,5 +2,47 @@ import { RealtimeUtils } from './lib/utils.js';
 import { RealtimeAPI } from './lib/api.js';
 import { RealtimeConversation } from './lib/conversation.js';
 import { RealtimeClient } from './lib/client.js';
+import { RealtimeWebSocketTransport } from './lib/transport.js';
+import { RealtimeMockServer } from './lib/mock_server.js';
+import { RealtimeRecorder, RealtimeReplayer } from './lib/recorder.js';
+import { RealtimeSchema } from './lib/schema.js';
+import { RealtimeRelay } from './lib/relay.js';
+import { RealtimeLogger } from './lib/logger.js';
+import { RealtimeMetrics } from './lib/metrics.js';
+import { RealtimeAudioBuffer } from './lib/audio_buffer.js';
+import { RealtimeTranscript } from './lib/transcript.js';
+import {
+  RealtimeError,
+  RealtimeInvalidRequestError,
+  RealtimeAuthenticationError,
+  RealtimeRateLimitError,
+  RealtimeServerError,
+  RealtimeTimeoutError,
+  RealtimeConnectionClosedError,
+  RealtimeListenerError,
+} from './lib/errors.js';
 
-export { RealtimeAPI, RealtimeConversation, RealtimeClient, RealtimeUtils };
+export {
+  RealtimeAPI,
+  RealtimeConversation,
+  RealtimeClient,
+  RealtimeUtils,
+  RealtimeWebSocketTransport,
+  RealtimeMockServer,
+  RealtimeRecorder,
+  RealtimeReplayer,
+  RealtimeSchema,
+  RealtimeRelay,
+  RealtimeLogger,
+  RealtimeMetrics,
+  RealtimeTranscript,
+  RealtimeAudioBuffer,
+  RealtimeError,
+  RealtimeInvalidRequestError,
+  RealtimeAuthenticationError,
+  RealtimeRateLimitError,
+  RealtimeServerError,
+  RealtimeTimeoutError,
+  RealtimeConnectionClosedError,
+  RealtimeListenerError,
+};
@@ -1,19 +1,111 @@
 import { RealtimeEventHandler } from './event_handler.js';
 import { RealtimeUtils } from './utils.js';
+import { RealtimeWebSocketTransport } from './transport.js';
+import { RealtimeSchema } from './schema.js';
+import {
+  RealtimeError,
+  RealtimeTimeoutError,
+  RealtimeConnectionClosedError,
+} from './errors.js';
+import { RealtimeLogger } from './logger.js';
+
+/**
+ * Transforms an event before it is sent or dispatched
+ * Return the event or a modified copy, an array of events to fan out, or null to drop it
+ * Returning undefined passes the event through unchanged
+ * @typedef {(event: {[key: string]: any}) => {[key: string]: any}|{[key: string]: any}[]|null|void|Promise<{[key: string]: any}|{[key: string]: any}[]|null|void>} EventMiddlewareType
+ */
+
+/**
+ * Reconnection policy, delays are in milliseconds
+ * @typedef {Object} ReconnectConfigType
+ * @property {number} [maxAttempts]
+ * @property {number} [initialDelay]
+ * @property {number} [maxDelay]
+ * @property {number} [factor] Multiplier applied to the delay after each attempt
+ * @property {number} [jitter] Fraction of the delay to randomize, 0.0 to 1.0
+ */
+
+const sleep = (t) => new Promise((r) => setTimeout(() => r(), t));
 
 export class RealtimeAPI extends RealtimeEventHandler {
   /**
    * Create a new RealtimeAPI instance
-   * @param {{url?: string, apiKey?: string, dangerouslyAllowAPIKeyInBrowser?: boolean, debug?: boolean}} [settings]
+   * Provide `transport` to connect through a custom WebSocket factory or any object
+   * implementing `send()` and `close()`, e.g. an in-memory transport for tests
+   * Set `validate` to check outgoing events against the client event catalog:
+   * "strict" throws on invalid events, "warn" logs a warning and sends anyway
+   * @param {{url?: string, apiKey?: string, dangerouslyAllowAPIKeyInBrowser?: boolean, debug?: boolean, reconnect?: boolean|ReconnectConfigType, headers?: {[key: string]: string}, transport?: import('./transport.js').WebSocketFactoryType|import('./transport.js').RealtimeTransportType, validate?: "strict"|"warn"|false, logger?: RealtimeLogger|import('./logger.js').LogOutputType|import('./logger.js').LoggerSettingsType}} [settings]
    * @returns {RealtimeAPI}
    */
-  constructor({ url, apiKey, dangerouslyAllowAPIKeyInBrowser, debug } = {}) {
+  constructor({
+    url,
+    apiKey,
+    dangerouslyAllowAPIKeyInBrowser,
+    debug,
+    reconnect,
+    headers,
+    transport,
+    validate,
+    logger,
+  } = {}) {
     super();
     this.defaultUrl = 'wss://api.openai.com/v1/realtime';
     this.url = url || this.defaultUrl;
     this.apiKey = apiKey || null;
     this.debug = !!debug;
+    this.logger = RealtimeLogger.from(logger, { debug }).child('api');
+    this.headers = headers || {};
+    if (
+      transport &&
+      typeof transport !== 'function' &&
+      (typeof transport.send !== 'function' ||
+        typeof transport.close !== 'function')
+    ) {
+      throw new Error(
+        `"transport" must be a WebSocket factory function or implement send() and close()`,
+      );
+    }
+    this.transport = transport || null;
+    if (validate && !['strict', 'warn'].includes(validate)) {
+      throw new Error(`"validate" must be "strict", "warn" or false`);
+    }
+    this.validate = validate || false;
     this.ws = null;
+    this.model = null;
+    this.defaultReconnectConfig = {
+      maxAttempts: 5,
+      initialDelay: 500,
+      maxDelay: 10_000,
+      factor: 2,
+      jitter: 0.5,
+    };
+    this.reconnectConfig = reconnect
+      ? {
+          ...this.defaultReconnectConfig,
+          ...(typeof reconnect === 'object' ? reconnect : {}),
+        }
+      : null;
+    this.reconnecting = false;
+    // Middleware applied by send() and receive(), queued so events keep their order
+    this.middleware = {
+      outgoing: { stack: [], queue: Promise.resolve(), pending: 0 },
+      incoming: { stack: [], queue: Promise.resolve(), pending: 0 },
+    };
+    // Recently sent events, to correlate server errors with their cause
+    this.sentEvents = new Map();
+    this.maxSentEvents = 100;
+    // Server events acknowledging each client event, used by sendAndWait()
+    this.acknowledgements = {
+      'session.update': 'session.updated',
+      'input_audio_buffer.commit': 'input_audio_buffer.committed',
+      'input_audio_buffer.clear': 'input_audio_buffer.cleared',
+      'conversation.item.create': 'conversation.item.created',
+      'conversation.item.truncate': 'conversation.item.truncated',
+      'conversation.item.delete': 'conversation.item.deleted',
+      'response.create': 'response.created',
+      'response.cancel': 'response.done',
+    };
     if (globalThis.document && this.apiKey) {
       if (!dangerouslyAllowAPIKeyInBrowser) {
         throw new Error(
@@ -32,22 +124,12 @@ export class RealtimeAPI extends RealtimeEventHandler {
   }
 
   /**
-   * Writes WebSocket logs to console
+   * Writes WebSocket logs at the "debug" level
    * @param  {...any} args
    * @returns {true}
    */
   log(...args) {
-    const date = new Date().toISOString();
-    const logs = [`[Websocket/${date}]`].concat(args).map((arg) => {
-      if (typeof arg === 'object' && arg !== null) {
-        return JSON.stringify(arg, null, 2);
-      } else {
-        return arg;
-      }
-    });
-    if (this.debug) {
-      console.log(...logs);
-    }
+    this.logger.debug(...args);
     return true;
   }
 
@@ -57,121 +139,379 @@ export class RealtimeAPI extends RealtimeEventHandler {
    * @returns {Promise<true>}
    */
   async connect({ model } = { model: 'gpt-4o-realtime-preview-2024-10-01' }) {
-    if (!this.apiKey && this.url === this.defaultUrl) {
-      console.warn(`No apiKey provided for connection to "${this.url}"`);
+    if (!this.apiKey && !this.transport && this.url === this.defaultUrl) {
+      this.logger.warn(`No apiKey provided for connection to "${this.url}"`);
     }
     if (this.isConnected()) {
       throw new Error(`Already connected`);
     }
-    if (globalThis.WebSocket) {
-      /**
-       * Web browser
-       */
-      if (globalThis.document && this.apiKey) {
-        console.warn(
-          'Warning: Connecting using API key in the browser, this is not recommended',
-        );
+    this.model = model;
+    this.reconnecting = false;
+    try {
+      return await this._open(model);
+    } catch (e) {
+      this._dispatchClose(true);
+      throw e;
+    }
+  }
+
+  /**
+   * Builds the connection URL for a model
+   * @param {string} [model]
+   * @returns {string}
+   */
+  getConnectionUrl(model) {
+    if (!model) {
+      return this.url;
+    }
+    const separator = this.url.includes('?') ? '&' : '?';
+    return `${this.url}${separator}model=${encodeURIComponent(model)}`;
+  }
+
+  /**
+   * Builds the options a transport needs to authenticate:
+   * headers where they can be set, subprotocols otherwise (browsers)
+   * @returns {import('./transport.js').TransportOpenOptionsType}
+   */
+  getConnectionOptions() {
+    const protocols = ['realtime'];
+    const headers = { 'OpenAI-Beta': 'realtime=v1' };
+    if (this.apiKey) {
+      protocols.push(`openai-insecure-api-key.${this.apiKey}`);
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    protocols.push('openai-beta.realtime-v1');
+    return { protocols, headers: { ...headers, ...this.headers } };
+  }
+
+  /**
+   * Creates the transport for a new connection
+   * @private
+   * @returns {import('./transport.js').RealtimeTransportType}
+   */
+  _createTransport() {
+    if (this.transport && typeof this.transport === 'object') {
+      return this.transport;
+    } else if (!this.transport && globalThis.document && this.apiKey) {
+      this.logger.warn(
+        'Warning: Connecting using API key in the browser, this is not recommended',
+      );
+    }
+    return new RealtimeWebSocketTransport(this.transport);
+  }
+
+  /**
+   * Opens the transport without dispatching connection failures
+   * @private
+   * @param {string} [model]
+   * @returns {Promise<true>}
+   */
+  async _open(model) {
+    const url = this.getConnectionUrl(model);
+    const transport = this._createTransport();
+    let opened = false;
+    transport.onmessage = (data) => {
+      // Messages still buffered after .disconnect() belong to a closed session
+      if (opened && this.ws !== transport) {
+        return;
       }
-      const WebSocket = globalThis.WebSocket;
-      const ws = new WebSocket(`${this.url}${model ? `?model=${model}` : ''}`, [
-        'realtime',
-        `openai-insecure-api-key.${this.apiKey}`,
-        'openai-beta.realtime-v1',
-      ]);
-      ws.addEventListener('message', (event) => {
-        const message = JSON.parse(event.data);
-        this.receive(message.type, message);
-      });
-      return new Promise((resolve, reject) => {
-        const connectionErrorHandler = () => {
-          this.disconnect(ws);
-          this.dispatch('close', { error: true });
-          reject(new Error(`Could not connect to "${this.url}"`));
-        };
-        ws.addEventListener('error', connectionErrorHandler);
-        ws.addEventListener('open', () => {
-          this.log(`Connected to "${this.url}"`);
-          ws.addEventListener('close', () => {
-            this.disconnect(ws);
-            this.log(`Disconnected from "${this.url}"`);
-            this.dispatch('close', { error: false });
-          });
-          this.ws = ws;
-          resolve(true);
-        });
-      });
+      const message = typeof data === 'string' ? JSON.parse(data) : data;
+      this.receive(message.type, message);
+    };
+    transport.onclose = () => this._handleClose(transport);
+    transport.onerror = (error) => this.log(`Transport error:`, error);
+    try {
+      if (typeof transport.open === 'function') {
+        await transport.open(url, this.getConnectionOptions());
+      }
+    } catch (e) {
+      throw new Error(`Could not connect to "${this.url}"`);
+    }
+    this.log(`Connected to "${this.url}"`);
+    opened = true;
+    this.ws = transport;
+    return true;
+  }
+
+  /**
+   * Handles a closed transport, reconnecting if the close was unexpected
+   * and a reconnection policy is set
+   * @private
+   * @param {import('./transport.js').RealtimeTransportType} ws
+   * @returns {true}
+   */
+  _handleClose(ws) {
+    const unexpected = this.ws === ws;
+    this.disconnect(ws);
+    this.log(`Disconnected from "${this.url}"`);
+    if (unexpected && this.reconnectConfig) {
+      this.reconnect();
     } else {
-      /**
-       * Node.js
-       */
-      const moduleName = 'ws';
-      const wsModule = await import(/* webpackIgnore: true */ moduleName);
-      const WebSocket = wsModule.default;
-      const ws = new WebSocket(
-        'wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-10-01',
-        [],
-        {
-          finishRequest: (request) => {
-            // Auth
-            request.setHeader('Authorization', `Bearer ${this.apiKey}`);
-            request.setHeader('OpenAI-Beta', 'realtime=v1');
-            request.end();
-          },
-        },
-      );
-      ws.on('message', (data) => {
-        const message = JSON.parse(data.toString());
-        this.receive(message.type, message);
-      });
-      return new Promise((resolve, reject) => {
-        const connectionErrorHandler = () => {
-          this.disconnect(ws);
-          this.dispatch('close', { error: true });
-          reject(new Error(`Could not connect to "${this.url}"`));
-        };
-        ws.on('error', connectionErrorHandler);
-        ws.on('open', () => {
-          this.log(`Connected to "${this.url}"`);
-          ws.on('close', () => {
-            this.disconnect(ws);
-            this.log(`Disconnected from "${this.url}"`);
-            this.dispatch('close', { error: false });
-          });
-          this.ws = ws;
-          resolve(true);
-        });
-      });
+      this._dispatchClose(false);
+    }
+    return true;
+  }
+
+  /**
+   * Gets the delay before a reconnection attempt: exponential backoff with jitter
+   * @param {number} attempt Starts at 1
+   * @returns {number}
+   */
+  getReconnectDelay(attempt) {
+    const { initialDelay, maxDelay, factor, jitter } = this.reconnectConfig;
+    const delay = Math.min(maxDelay, initialDelay * factor ** (attempt - 1));
+    const spread = delay * Math.max(0, Math.min(1, jitter));
+    const jittered = delay - spread + Math.random() * spread * 2;
+    return Math.round(Math.max(0, Math.min(maxDelay, jittered)));
+  }
+
+  /**
+   * Attempts to re-open the connection according to the reconnection policy
+   * Dispatches "reconnecting" before each attempt and "reconnected" on success,
+   * or "close" with an error once all attempts have failed
+   * @returns {Promise<boolean>}
+   */
+  async reconnect() {
+    if (!this.reconnectConfig) {
+      throw new Error(`No reconnection policy set, use "reconnect" setting`);
+    }
+    if (this.reconnecting) {
+      return false;
+    }
+    this.reconnecting = true;
+    const { maxAttempts } = this.reconnectConfig;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const delay = this.getReconnectDelay(attempt);
+      this.dispatch('reconnecting', { attempt, delay });
+      await sleep(delay);
+      if (!this.reconnecting) {
+        // disconnect() was called while waiting
+        return false;
+      }
+      try {
+        await this._open(this.model);
+        if (!this.reconnecting) {
+          // disconnect() was called while opening
+          this.disconnect();
+          return false;
+        }
+        this.reconnecting = false;
+        this.log(`Reconnected to "${this.url}" after ${attempt} attempt(s)`);
+        this.dispatch('reconnected', { attempt });
+        return true;
+      } catch (e) {
+        this.log(`Reconnection attempt ${attempt} failed:`, e.message);
+      }
     }
+    this.reconnecting = false;
+    this._dispatchClose(true);
+    return false;
   }
 
   /**
    * Disconnects from Realtime API server
-   * @param {WebSocket} [ws]
+   * @param {import('./transport.js').RealtimeTransportType} [ws]
    * @returns {true}
    */
   disconnect(ws) {
+    if (!ws) {
+      this.reconnecting = false;
+      this.rejectPendingWaits(
+        new RealtimeConnectionClosedError(`Disconnected from "${this.url}"`),
+      );
+    }
     if (!ws || this.ws === ws) {
-      this.ws && this.ws.close();
+      // Transports may close synchronously, so release before closing
+      const transport = this.ws;
       this.ws = null;
+      transport && transport.close();
       return true;
     }
   }
 
   /**
-   * Receives an event from WebSocket and dispatches as "server.{eventName}" and "server.*" events
+   * Rejects pending waits and dispatches "close" once the connection is gone for good
+   * @private
+   * @param {boolean} error
+   * @returns {true}
+   */
+  _dispatchClose(error) {
+    this.rejectPendingWaits(
+      new RealtimeConnectionClosedError(`Connection to "${this.url}" closed`),
+    );
+    this.dispatch('close', { error });
+    return true;
+  }
+
+  /**
+   * Receives an event from WebSocket and dispatches as "server.{eventName}", matched by "server.*" listeners
+   * Incoming middleware runs first, the event is dispatched asynchronously when there is any
    * @param {string} eventName
    * @param {{[key: string]: any}} event
    * @returns {true}
    */
   receive(eventName, event) {
+    if (this._hasMiddleware('incoming')) {
+      this._applyMiddleware('incoming', event, (event) =>
+        this._dispatchReceived(event.type, event),
+      );
+    } else {
+      this._dispatchReceived(eventName, event);
+    }
+    return true;
+  }
+
+  /**
+   * @private
+   * @param {string} eventName
+   * @param {{[key: string]: any}} event
+   * @returns {true}
+   */
+  _dispatchReceived(eventName, event) {
     this.log(`received:`, eventName, event);
     this.dispatch(`server.${eventName}`, event);
-    this.dispatch('server.*', event);
+    if (eventName === 'error') {
+      const originatingEvent = this.getSentEvent(event.error?.event_id);
+      this.dispatch('error', RealtimeError.fromEvent(event, originatingEvent));
+    }
     return true;
   }
 
   /**
-   * Sends an event to WebSocket and dispatches as "client.{eventName}" and "client.*" events
+   * Adds middleware for client events, run in order after validation and before sending
+   * @param {EventMiddlewareType} middleware
+   * @returns {() => boolean} Removes the middleware
+   */
+  useOutgoing(middleware) {
+    return this._addMiddleware('outgoing', middleware);
+  }
+
+  /**
+   * Adds middleware for server events, run in order before they are dispatched
+   * @param {EventMiddlewareType} middleware
+   * @returns {() => boolean} Removes the middleware
+   */
+  useIncoming(middleware) {
+    return this._addMiddleware('incoming', middleware);
+  }
+
+  /**
+   * @private
+   * @param {"outgoing"|"incoming"} direction
+   * @param {EventMiddlewareType} middleware
+   * @returns {() => boolean}
+   */
+  _addMiddleware(direction, middleware) {
+    if (typeof middleware !== 'function') {
+      throw new Error(`middleware must be a function`);
+    }
+    const { stack } = this.middleware[direction];
+    stack.push(middleware);
+    return () => {
+      const index = stack.indexOf(middleware);
+      if (index === -1) {
+        return false;
+      }
+      stack.splice(index, 1);
+      return true;
+    };
+  }
+
+  /**
+   * Tells us whether events have to go through the middleware queue,
+   * which is also the case while it still holds events
+   * @private
+   * @param {"outgoing"|"incoming"} direction
+   * @returns {boolean}
+   */
+  _hasMiddleware(direction) {
+    const { stack, pending } = this.middleware[direction];
+    return stack.length > 0 || pending > 0;
+  }
+
+  /**
+   * Queues an event through middleware, then passes every resulting event to a callback
+   * Middleware failures are dispatched as "error" events
+   * @private
+   * @param {"outgoing"|"incoming"} direction
+   * @param {{[key: string]: any}} event
+   * @param {(event: {[key: string]: any}) => any} callback
+   * @returns {Promise<true>}
+   */
+  _applyMiddleware(direction, event, callback) {
+    const middleware = this.middleware[direction];
+    middleware.pending++;
+    const run = async () => {
+      try {
+        let events = [event];
+        for (const fn of middleware.stack.slice()) {
+          const results = [];
+          for (const e of events) {
+            const result = await fn(e);
+            // Only an explicit null drops the event, e.g. a missing return passes it through
+            if (result === void 0) {
+              results.push(e);
+            } else if (result !== null) {
+              results.push(...[].concat(result));
+            }
+          }
+          events = results;
+        }
+        for (const e of events) {
+          callback(e);
+        }
+      } catch (e) {
+        this.dispatch(
+          'error',
+          new RealtimeError(`${direction} middleware failed: ${e.message}`, {
+            type: 'middleware_error',
+            eventId: event.event_id,
+            originatingEvent: direction === 'outgoing' ? event : null,
+          }),
+        );
+      } finally {
+        middleware.pending--;
+      }
+      return true;
+    };
+    middleware.queue = middleware.queue.then(run);
+    return middleware.queue;
+  }
+
+  /**
+   * Retrieves a recently sent event by id, used to find the cause of server errors
+   * @param {string} eventId
+   * @returns {{[key: string]: any}|null}
+   */
+  getSentEvent(eventId) {
+    return (eventId && this.sentEvents.get(eventId)) || null;
+  }
+
+  /**
+   * Validates an outgoing event against the client event catalog
+   * Throws in "strict" mode and warns otherwise when the event is invalid
+   * @param {string} eventName
+   * @param {{[key: string]: any}} event
+   * @returns {boolean}
+   */
+  validateEvent(eventName, event) {
+    const errors = RealtimeSchema.validateClientEvent(eventName, event);
+    if (!errors.length) {
+      return true;
+    }
+    const message =
+      `Invalid client event "${eventName}": ` +
+      errors.map((error) => error.message).join('; ');
+    if (this.validate === 'strict') {
+      throw new Error(message);
+    }
+    this.logger.warn(message);
+    return false;
+  }
+
+  /**
+   * Sends an event to WebSocket and dispatches as "client.{eventName}", matched by "client.*" listeners
+   * Outgoing middleware runs after validation, the event is sent asynchronously when there is any
    * @param {string} eventName
    * @param {{[key: string]: any}} event
    * @returns {true}
@@ -189,10 +529,94 @@ export class RealtimeAPI extends RealtimeEventHandler {
       type: eventName,
       ...data,
     };
+    if (this.validate) {
+      this.validateEvent(eventName, event);
+    }
+    if (this._hasMiddleware('outgoing')) {
+      this._applyMiddleware('outgoing', event, (event) =>
+        this._sendEvent(event.type, event),
+      );
+    } else {
+      this._sendEvent(eventName, event);
+    }
+    return true;
+  }
+
+  /**
+   * @private
+   * @param {string} eventName
+   * @param {{[key: string]: any}} event
+   * @returns {true}
+   */
+  _sendEvent(eventName, event) {
+    if (!this.isConnected()) {
+      throw new Error(`RealtimeAPI is not connected`);
+    }
     this.dispatch(`client.${eventName}`, event);
-    this.dispatch('client.*', event);
     this.log(`sent:`, eventName, event);
+    this.sentEvents.set(event.event_id, event);
+    if (this.sentEvents.size > this.maxSentEvents) {
+      this.sentEvents.delete(this.sentEvents.keys().next().value);
+    }
     this.ws.send(JSON.stringify(event));
     return true;
   }
+
+  /**
+   * Sends an event and waits for the server to acknowledge it
+   * Resolves with the acknowledging server event, e.g. "session.updated" for "session.update",
+   * or rejects with the RealtimeError correlated to the sent event
+   * @param {string} eventName
+   * @param {{[key: string]: any}} [data]
+   * @param {{expect?: string, timeout?: number}} [options] `expect` is the server event name to wait for
+   * @returns {Promise<{[key: string]: any}>}
+   */
+  async sendAndWait(eventName, data = {}, { expect, timeout = 10_000 } = {}) {
+    const expected = expect || this.acknowledgements[eventName];
+    if (!expected) {
+      throw new Error(
+        `No acknowledgement known for "${eventName}", provide "expect"`,
+      );
+    }
+    const event_id = data.event_id || RealtimeUtils.generateId('evt_');
+    data = { ...data, event_id };
+    if (eventName === 'conversation.item.create' && data.item) {
+      // Lets us match the exact "conversation.item.created" event
+      data.item = { id: RealtimeUtils.generateId('item_'), ...data.item };
+    }
+    const itemId = data.item_id || data.item?.id;
+    const controller = new AbortController();
+    const acknowledged = this.waitForNext(`server.${expected}`, {
+      predicate: (event) => {
+        const eventItemId = event.item_id || event.item?.id;
+        return !itemId || !eventItemId || eventItemId === itemId;
+      },
+      timeout,
+      signal: controller.signal,
+    });
+    const failed = this.waitForNext('error', {
+      predicate: (error) => error.eventId === event_id,
+      signal: controller.signal,
+    }).then((error) => Promise.reject(error));
+    const acknowledgedOrFailed = Promise.race([acknowledged, failed]);
+    // Aborted without being awaited when .send() throws
+    acknowledgedOrFailed.catch(() => {});
+    try {
+      this.send(eventName, data);
+      return await acknowledgedOrFailed;
+    } catch (e) {
+      if (e instanceof RealtimeTimeoutError) {
+        throw new RealtimeTimeoutError(
+          `Timed out waiting for "${expected}" after sending "${eventName}"`,
+          {
+            eventId: event_id,
+            originatingEvent: this.getSentEvent(event_id),
+          },
+        );
+      }
+      throw e;
+    } finally {
+      controller.abort();
+    }
+  }
 }
@@ -0,0 +1,128 @@
+/**
+ * Growable PCM16 audio storage: appending keeps chunks as-is and
+ * they are only concatenated when the whole buffer is read
+ * @class
+ */
+export class RealtimeAudioBuffer {
+  /**
+   * Backs the `audio` property of an item's formatted values with a buffer,
+   * reading `formatted.audio` returns an Int16Array and assigning it replaces the buffer contents
+   * The buffer itself is kept in a non-enumerable `audioBuffer` property
+   * @param {{[key: string]: any}} formatted
+   * @param {{retain?: boolean}} [options] `retain: false` discards all audio
+   * @returns {RealtimeAudioBuffer}
+   */
+  static attach(formatted, { retain = true } = {}) {
+    const buffer = new RealtimeAudioBuffer({ retain });
+    Object.defineProperty(formatted, 'audioBuffer', {
+      value: buffer,
+      configurable: true,
+    });
+    Object.defineProperty(formatted, 'audio', {
+      get: () => buffer.toInt16Array(),
+      set: (audio) => buffer.set(audio),
+      enumerable: true,
+      configurable: true,
+    });
+    return buffer;
+  }
+
+  /**
+   * Create a new RealtimeAudioBuffer instance
+   * @param {{retain?: boolean}} [options] `retain: false` discards all audio
+   * @returns {RealtimeAudioBuffer}
+   */
+  constructor({ retain = true } = {}) {
+    this.retain = retain;
+    this.chunks = [];
+    this.length = 0;
+  }
+
+  /**
+   * Adds audio to the end of the buffer without copying existing audio
+   * @param {Int16Array|ArrayBuffer} audio
+   * @returns {number} Length of the buffer in samples
+   */
+  append(audio) {
+    const chunk = audio instanceof ArrayBuffer ? new Int16Array(audio) : audio;
+    if (this.retain && chunk.length) {
+      this.chunks.push(chunk);
+      this.length += chunk.length;
+    }
+    return this.length;
+  }
+
+  /**
+   * Replaces the contents of the buffer
+   * @param {Int16Array|ArrayBuffer|null} audio
+   * @returns {number} Length of the buffer in samples
+   */
+  set(audio) {
+    this.clear();
+    return audio ? this.append(audio) : 0;
+  }
+
+  /**
+   * Removes all audio
+   * @returns {true}
+   */
+  clear() {
+    this.chunks = [];
+    this.length = 0;
+    return true;
+  }
+
+  /**
+   * Keeps only the first samples, e.g. the audio played before an interruption
+   * @param {number} length
+   * @returns {number} Length of the buffer in samples
+   */
+  truncate(length) {
+    if (length >= this.length) {
+      return this.length;
+    }
+    this.chunks = [this.slice(0, length)];
+    this.length = this.chunks[0].length;
+    return this.length;
+  }
+
+  /**
+   * Copies a range of samples, only concatenating the chunks it overlaps
+   * @param {number} [start]
+   * @param {number} [end]
+   * @returns {Int16Array}
+   */
+  slice(start = 0, end = this.length) {
+    start = Math.max(0, Math.min(start, this.length));
+    end = Math.max(start, Math.min(end, this.length));
+    const audio = new Int16Array(end - start);
+    let offset = 0;
+    for (const chunk of this.chunks) {
+      const chunkStart = Math.max(start - offset, 0);
+      const chunkEnd = Math.min(end - offset, chunk.length);
+      if (chunkStart < chunkEnd) {
+        audio.set(
+          chunk.subarray(chunkStart, chunkEnd),
+          offset + chunkStart - start,
+        );
+      }
+      offset += chunk.length;
+      if (offset >= end) {
+        break;
+      }
+    }
+    return audio;
+  }
+
+  /**
+   * Returns all audio as a single Int16Array
+   * Chunks are merged once and the result is reused until more audio is appended
+   * @returns {Int16Array}
+   */
+  toInt16Array() {
+    if (this.chunks.length !== 1) {
+      this.chunks = [this.slice()];
+    }
+    return this.chunks[0];
+  }
+}
@@ -2,6 +2,9 @@ import { RealtimeEventHandler } from './event_handler.js';
 import { RealtimeAPI } from './api.js';
 import { RealtimeConversation } from './conversation.js';
 import { RealtimeUtils } from './utils.js';
+import { RealtimeLogger } from './logger.js';
+import { RealtimeMetrics } from './metrics.js';
+import { RealtimeConnectionClosedError } from './errors.js';
 
 /**
  * Valid audio formats
@@ -131,12 +134,17 @@ import { RealtimeUtils } from './utils.js';
 
 /**
  * @typedef {Object} FormattedPropertyType
- * @property {Int16Array} [audio]
+ * @property {Int16Array} [audio] Concatenated on read, see `audioBuffer`
+ * @property {import('./audio_buffer.js').RealtimeAudioBuffer} [audioBuffer] Chunked storage behind `audio`, not enumerable
+ * @property {number} [releasedAudioLength] Samples of audio released by the retention policy, still in the model context
  * @property {string} [text]
  * @property {string} [transcript]
  * @property {FormattedToolType} [tool]
  * @property {string} [output]
  * @property {any} [file]
+ * @property {number} [audio_start_ms] Start of user speech in the input audio buffer, with server VAD
+ * @property {number} [audio_end_ms] End of user speech in the input audio buffer, with server VAD
+ * @property {import('./errors.js').ErrorEventDetailsType} [transcriptionError] Why input audio transcription failed
  */
 
 /**
@@ -176,12 +184,56 @@ import { RealtimeUtils } from './utils.js';
 
 /**
  * @typedef {Object} ResponseResourceType
+ * @property {string} id
  * @property {"in_progress"|"completed"|"incomplete"|"cancelled"|"failed"} status
  * @property {IncompleteResponseStatusType|FailedResponseStatusType|null} status_details
  * @property {ItemType[]} output
  * @property {UsageType|null} usage
  */
 
+/**
+ * @typedef {Object} RateLimitType
+ * @property {number} limit
+ * @property {number} remaining
+ * @property {number} reset_seconds
+ * @property {number} reset_at Timestamp in milliseconds when the limit resets
+ */
+
+/**
+ * A single delta of a streamed response, audio deltas are decoded to PCM16
+ * @typedef {Object} ResponseDeltaType
+ * @property {"text"|"audio"|"transcript"|"arguments"} type
+ * @property {string|Int16Array} delta
+ * @property {ItemType|null} item The conversation item the delta was appended to
+ * @property {string} responseId
+ */
+
+/**
+ * Limits on how much conversation is kept, checked whenever an item is added or a response is done
+ * Oldest items are deleted on the server, while audio is only released locally
+ * @typedef {Object} RetentionPolicyType
+ * @property {number} [maxItems] Items kept in the conversation
+ * @property {number} [maxTokens] Estimated tokens kept in the conversation, see RealtimeConversation.estimateTokens()
+ * @property {number} [maxAudioSeconds] Seconds of `formatted.audio` kept in memory
+ */
+
+/**
+ * @typedef {Object} RealtimeClientSettingsType
+ * @property {string} [url]
+ * @property {string} [apiKey]
+ * @property {boolean} [dangerouslyAllowAPIKeyInBrowser]
+ * @property {boolean} [debug]
+ * @property {boolean|import('./api.js').ReconnectConfigType} [reconnect]
+ * @property {boolean} [replayConversation] Recreates completed items after reconnecting
+ * @property {{[key: string]: string}} [headers]
+ * @property {import('./transport.js').WebSocketFactoryType|import('./transport.js').RealtimeTransportType} [transport]
+ * @property {"strict"|"warn"|false} [validate]
+ * @property {number} [rateLimitThreshold] Delays createResponse() while fewer tokens remain
+ * @property {RetentionPolicyType} [retention] Prunes long-running conversations
+ * @property {boolean} [retainAudio] Set to false to only stream audio, without keeping it in `formatted.audio`
+ * @property {RealtimeLogger|import('./logger.js').LogOutputType|import('./logger.js').LoggerSettingsType} [logger]
+ */
+
 /**
  * RealtimeClient Class
  * @class
@@ -189,10 +241,48 @@ import { RealtimeUtils } from './utils.js';
 export class RealtimeClient extends RealtimeEventHandler {
   /**
    * Create a new RealtimeClient instance
-   * @param {{url?: string, apiKey?: string, dangerouslyAllowAPIKeyInBrowser?: boolean, debug?: boolean}} [settings]
+   * @param {RealtimeClientSettingsType} [settings]
    */
-  constructor({ url, apiKey, dangerouslyAllowAPIKeyInBrowser, debug } = {}) {
+  constructor({
+    url,
+    apiKey,
+    dangerouslyAllowAPIKeyInBrowser,
+    debug,
+    reconnect,
+    replayConversation,
+    headers,
+    transport,
+    validate,
+    rateLimitThreshold,
+    retention,
+    retainAudio,
+    logger,
+  } = {}) {
     super();
+    // Kept to create forks with the same settings
+    this.settings = {
+      url,
+      apiKey,
+      dangerouslyAllowAPIKeyInBrowser,
+      debug,
+      reconnect,
+      replayConversation,
+      headers,
+      transport,
+      validate,
+      rateLimitThreshold,
+      retention,
+      retainAudio,
+      logger,
+    };
+    const baseLogger = RealtimeLogger.from(logger, { debug });
+    this.logger = baseLogger.child('client');
+    this.replayConversation = !!replayConversation;
+    this.rateLimitThreshold = rateLimitThreshold || 0;
+    this.retention = retention || null;
+    this.pendingDeletions = new Set();
+    this.rateLimits = {};
+    this.delayedResponseTimeout = null;
     this.defaultSessionConfig = {
       modalities: ['text', 'audio'],
       instructions: '',
@@ -223,8 +313,17 @@ export class RealtimeClient extends RealtimeEventHandler {
       apiKey,
       dangerouslyAllowAPIKeyInBrowser,
       debug,
+      reconnect,
+      headers,
+      transport,
+      validate,
+      logger: baseLogger,
     });
-    this.conversation = new RealtimeConversation();
+    this.conversation = new RealtimeConversation({
+      logger: baseLogger.child('conversation'),
+      retainAudio: retainAudio !== false,
+    });
+    this.metrics = new RealtimeMetrics();
     this._resetConfig();
     this._addAPIEventHandlers();
   }
@@ -236,6 +335,7 @@ export class RealtimeClient extends RealtimeEventHandler {
    */
   _resetConfig() {
     this.sessionCreated = false;
+    this.rateLimits = {};
     this.tools = {};
     this.sessionConfig = JSON.parse(JSON.stringify(this.defaultSessionConfig));
     this.inputAudioBuffer = new Int16Array(0);
@@ -248,30 +348,62 @@ export class RealtimeClient extends RealtimeEventHandler {
    * @returns {true}
    */
   _addAPIEventHandlers() {
-    // Event Logging handlers
-    this.realtime.on('client.*', (event) => {
-      const realtimeEvent = {
-        time: new Date().toISOString(),
-        source: 'client',
-        event: event,
-      };
-      this.dispatch('realtime.event', realtimeEvent);
-    });
-    this.realtime.on('server.*', (event) => {
-      const realtimeEvent = {
-        time: new Date().toISOString(),
-        source: 'server',
-        event: event,
-      };
-      this.dispatch('realtime.event', realtimeEvent);
+    // Server errors, correlated with the client event that caused them
+    this.realtime.on('error', (error) => this.dispatch('error', error));
+
+    // Keeps track of rate limits, updated after every response
+    this.realtime.on('server.rate_limits.updated', (event) => {
+      const now = Date.now();
+      for (const rateLimit of event.rate_limits || []) {
+        this.rateLimits[rateLimit.name] = {
+          limit: rateLimit.limit,
+          remaining: rateLimit.remaining,
+          reset_seconds: rateLimit.reset_seconds,
+          reset_at: now + rateLimit.reset_seconds * 1000,
+        };
+      }
+      this.dispatch('rate_limits.changed', { rateLimits: this.rateLimits });
     });
 
+    // Measures latency and token usage of every response
+    const trackMetrics = (event) => {
+      const response = this.metrics.processEvent(event);
+      if (response) {
+        this.dispatch('metrics.response', { response });
+      }
+    };
+    this.realtime.on('client.*', trackMetrics);
+    this.realtime.on('server.*', trackMetrics);
+
     // Handles session created event, can optionally wait for it
     this.realtime.on(
       'server.session.created',
       () => (this.sessionCreated = true),
     );
 
+    // Pending waits would never resolve once the connection is gone
+    this.realtime.on('close', () => {
+      this.sessionCreated = false;
+      this.rejectPendingWaits(
+        new RealtimeConnectionClosedError(`Connection closed`),
+      );
+    });
+
+    // Restores the session after the socket reconnects
+    this.realtime.on('reconnecting', (event) => {
+      this.sessionCreated = false;
+      this.dispatch('reconnecting', event);
+    });
+    this.realtime.on('reconnected', (event) => {
+      this.conversation.startSession();
+      this.pendingDeletions.clear();
+      this.updateSession();
+      if (this.replayConversation) {
+        this.replayItems();
+      }
+      this.dispatch('reconnected', event);
+    });
+
     // Setup for application control flow
     const handler = (event, ...args) => {
       const { item, delta } = this.conversation.processEvent(event, ...args);
@@ -288,6 +420,7 @@ export class RealtimeClient extends RealtimeEventHandler {
       return { item, delta };
     };
     const callTool = async (tool) => {
+      let output;
       try {
         const jsonArguments = JSON.parse(tool.arguments);
         const toolConfig = this.tools[tool.name];
@@ -295,23 +428,23 @@ export class RealtimeClient extends RealtimeEventHandler {
           throw new Error(`Tool "${tool.name}" has not been added`);
         }
         const result = await toolConfig.handler(jsonArguments);
-        this.realtime.send('conversation.item.create', {
-          item: {
-            type: 'function_call_output',
-            call_id: tool.call_id,
-            output: JSON.stringify(result),
-          },
-        });
+        output = JSON.stringify(result);
       } catch (e) {
+        output = JSON.stringify({ error: e.message });
+      }
+      try {
         this.realtime.send('conversation.item.create', {
           item: {
             type: 'function_call_output',
             call_id: tool.call_id,
-            output: JSON.stringify({ error: e.message }),
+            output,
           },
         });
+        this.createResponse();
+      } catch (e) {
+        // E.g. disconnected while the tool was running
+        this.logger.warn(`Could not send output of tool "${tool.name}":`, e);
       }
-      this.createResponse();
     };
 
     // Handlers to update internal conversation state
@@ -328,18 +461,40 @@ export class RealtimeClient extends RealtimeEventHandler {
 
     // Handlers to update application state
     this.realtime.on('server.conversation.item.created', (event) => {
+      const isReplayed = !!this.conversation.getItem(event.item.id);
       const { item } = handlerWithDispatch(event);
-      this.dispatch('conversation.item.appended', { item });
-      if (item.status === 'completed') {
-        this.dispatch('conversation.item.completed', { item });
+      if (!isReplayed) {
+        this.dispatch('conversation.item.appended', { item });
+        if (item.status === 'completed') {
+          this.dispatch('conversation.item.completed', { item });
+        }
+        this.retention && this.pruneConversation();
       }
     });
     this.realtime.on('server.conversation.item.truncated', handlerWithDispatch);
-    this.realtime.on('server.conversation.item.deleted', handlerWithDispatch);
+    this.realtime.on('server.conversation.item.deleted', (event) => {
+      this.pendingDeletions.delete(event.item_id);
+      handlerWithDispatch(event);
+    });
     this.realtime.on(
       'server.conversation.item.input_audio_transcription.completed',
       handlerWithDispatch,
     );
+    this.realtime.on(
+      'server.conversation.item.input_audio_transcription.delta',
+      handlerWithDispatch,
+    );
+    this.realtime.on(
+      'server.conversation.item.input_audio_transcription.failed',
+      (event) => {
+        const { item } = handlerWithDispatch(event);
+        this.dispatch('conversation.item.transcription_failed', {
+          item,
+          itemId: event.item_id,
+          error: event.error,
+        });
+      },
+    );
     this.realtime.on(
       'server.response.audio_transcript.delta',
       handlerWithDispatch,
@@ -350,16 +505,60 @@ export class RealtimeClient extends RealtimeEventHandler {
       'server.response.function_call_arguments.delta',
       handlerWithDispatch,
     );
+    this.realtime.on('server.response.text.done', handlerWithDispatch);
+    this.realtime.on('server.response.audio.done', handler);
+    this.realtime.on(
+      'server.response.audio_transcript.done',
+      handlerWithDispatch,
+    );
+    this.realtime.on('server.response.content_part.done', handlerWithDispatch);
+    this.realtime.on(
+      'server.response.function_call_arguments.done',
+      handlerWithDispatch,
+    );
+    this.realtime.on('server.response.done', (event) => {
+      handler(event);
+      const response = this.conversation.getResponse(event.response.id);
+      const eventName = {
+        completed: 'response.completed',
+        failed: 'response.failed',
+        cancelled: 'response.cancelled',
+        incomplete: 'response.incomplete',
+      }[response.status];
+      if (eventName) {
+        this.dispatch(eventName, { response });
+      }
+      this.retention && this.pruneConversation();
+    });
     this.realtime.on('server.response.output_item.done', async (event) => {
       const { item } = handlerWithDispatch(event);
       if (item.status === 'completed') {
         this.dispatch('conversation.item.completed', { item });
       }
-      if (item.formatted.tool) {
+      // Replayed recordings are received while not connected, tools are not called
+      if (item.formatted.tool && this.isConnected()) {
         callTool(item.formatted.tool);
       }
     });
 
+    // Event Logging handlers, added last so they run after state is updated
+    this.realtime.on('client.*', (event) => {
+      const realtimeEvent = {
+        time: new Date().toISOString(),
+        source: 'client',
+        event: event,
+      };
+      this.dispatch('realtime.event', realtimeEvent);
+    });
+    this.realtime.on('server.*', (event) => {
+      const realtimeEvent = {
+        time: new Date().toISOString(),
+        source: 'server',
+        event: event,
+      };
+      this.dispatch('realtime.event', realtimeEvent);
+    });
+
     return true;
   }
 
@@ -393,21 +592,33 @@ export class RealtimeClient extends RealtimeEventHandler {
     if (this.isConnected()) {
       throw new Error(`Already connected, use .disconnect() first`);
     }
+    this.metrics.reset();
+    this.pendingDeletions.clear();
     await this.realtime.connect();
     this.updateSession();
     return true;
   }
 
+  /**
+   * Returns latency and token usage metrics of the current session,
+   * reset on every .connect()
+   * @returns {import('./metrics.js').MetricsSnapshotType}
+   */
+  getMetrics() {
+    return this.metrics.getMetrics();
+  }
+
   /**
    * Waits for a session.created event to be executed before proceeding
+   * @param {import('./event_handler.js').WaitForNextOptionsType} [options]
    * @returns {Promise<true>}
    */
-  async waitForSessionCreated() {
+  async waitForSessionCreated(options = {}) {
     if (!this.isConnected()) {
       throw new Error(`Not connected, use .connect() first`);
     }
-    while (!this.sessionCreated) {
-      await new Promise((r) => setTimeout(() => r(), 1));
+    if (!this.sessionCreated) {
+      await this.realtime.waitForNext('server.session.created', options);
     }
     return true;
   }
@@ -416,11 +627,97 @@ export class RealtimeClient extends RealtimeEventHandler {
    * Disconnects from the Realtime API and clears the conversation history
    */
   disconnect() {
+    this.rejectPendingWaits(
+      new RealtimeConnectionClosedError(`Disconnected, use .connect() first`),
+    );
     this.sessionCreated = false;
-    this.realtime.isConnected() && this.realtime.disconnect();
+    clearTimeout(this.delayedResponseTimeout);
+    this.delayedResponseTimeout = null;
+    // Also stops a reconnection in progress
+    this.realtime.disconnect();
     this.conversation.clear();
   }
 
+  /**
+   * Restores a conversation snapshot, e.g. to resume a call after a restart
+   * Replaces local conversation history and recreates its completed items on the server, in order
+   * @param {import('./conversation.js').ConversationSnapshotType|string} snapshot Written by `client.conversation.toJSON()`
+   * @param {{loadAudio?: (reference: any, item: {[key: string]: any}) => Int16Array|ArrayBuffer|null}} [options]
+   * @returns {true}
+   */
+  restoreConversation(snapshot, options = {}) {
+    if (!this.isConnected()) {
+      throw new Error(`Not connected, use .connect() first`);
+    }
+    this.conversation.restore(snapshot, options);
+    this.replayItems();
+    return true;
+  }
+
+  /**
+   * Recreates all completed conversation items on the server, in order
+   * Used to restore model context after a reconnection
+   * Items that can not be recreated, e.g. assistant audio without a transcript,
+   * are removed from the local conversation so it matches the model context
+   * @returns {ItemType[]} Items removed
+   */
+  replayItems() {
+    let previousItemId = null;
+    const dropped = [];
+    for (const item of this.conversation.getItems()) {
+      if (item.status !== 'completed') {
+        continue;
+      }
+      const createItem = this.conversation.toCreateItem(item);
+      if (createItem) {
+        this.createItem(createItem, { previousItemId });
+        previousItemId = createItem.id;
+      } else {
+        dropped.push(item);
+      }
+    }
+    for (const item of dropped) {
+      this.conversation.deleteItem(item.id);
+      this.logger.info(`Item "${item.id}" can not be recreated, removed`);
+      this.dispatch('conversation.item.dropped', { item });
+    }
+    return dropped;
+  }
+
+  /**
+   * Branches the conversation: connects a new client with the same settings, session
+   * and tools, seeded with the items up to and including an item
+   * Items that can not be recreated are left out, see .replayItems()
+   * This client and its conversation are left untouched
+   * @param {string} itemId
+   * @param {RealtimeClientSettingsType} [settings] Overrides the settings of this client,
+   * a new `transport` is required when a transport instance was provided
+   * @returns {Promise<RealtimeClient>}
+   */
+  async forkFrom(itemId, settings = {}) {
+    if (
+      this.settings.transport &&
+      typeof this.settings.transport === 'object' &&
+      !settings.transport
+    ) {
+      throw new Error(
+        `Can not fork a client connected through a transport instance, provide a new "transport" in settings`,
+      );
+    }
+    const conversation = this.conversation.snapshot({ untilItemId: itemId });
+    const fork = new RealtimeClient({ ...this.settings, ...settings });
+    for (const name in this.tools) {
+      fork.addTool(this.tools[name].definition, this.tools[name].handler);
+    }
+    fork.updateSession(JSON.parse(JSON.stringify(this.sessionConfig)));
+    await fork.connect();
+    fork.restoreConversation(
+      conversation.toJSON({ audio: (item) => item.formatted.audio }),
+      { loadAudio: (audio) => audio },
+    );
+    return fork;
+  }
+
   /**
    * Gets the active turn detection mode
    * @returns {"server_vad"|null}
@@ -466,6 +763,38 @@ export class RealtimeClient extends RealtimeEventHandler {
     return true;
   }
 
+  /**
+   * Applies the retention policy: deletes the oldest items on the server
+   * and releases audio of the oldest items locally
+   * Dispatches "conversation.pruned" when anything was pruned
+   * @param {RetentionPolicyType} [retention] Defaults to the `retention` setting
+   * @returns {{deleted: ItemType[], audioReleased: ItemType[]}}
+   */
+  pruneConversation(retention = this.retention || {}) {
+    const { maxItems, maxTokens, maxAudioSeconds } = retention;
+    const deleted = this.isConnected()
+      ? this.conversation.getItemsToPrune(
+          { maxItems, maxTokens },
+          this.pendingDeletions,
+        )
+      : [];
+    for (const item of deleted) {
+      this.pendingDeletions.add(item.id);
+      this.deleteItem(item.id);
+    }
+    const audioReleased =
+      typeof maxAudioSeconds === 'number'
+        ? this.conversation.releaseAudio(maxAudioSeconds)
+        : [];
+    if (deleted.length || audioReleased.length) {
+      this.logger.debug(
+        `Pruned ${deleted.length} items, released audio of ${audioReleased.length} items`,
+      );
+      this.dispatch('conversation.pruned', { deleted, audioReleased });
+    }
+    return { deleted, audioReleased };
+  }
+
   /**
    * Deletes an item
    * @param {string} id
@@ -541,27 +870,47 @@ export class RealtimeClient extends RealtimeEventHandler {
     return true;
   }
 
+  /**
+   * Creates an item on the server without generating a response
+   * Audio content can be passed as an Int16Array or ArrayBuffer
+   * @param {BaseItemType} item
+   * @param {{previousItemId?: string|null}} [options] Inserts the item after this item, or at the head for null
+   * Items are added at the end of the conversation by default
+   * @returns {true}
+   */
+  createItem(item, { previousItemId } = {}) {
+    for (const c of item.content || []) {
+      if (c.type === 'input_audio') {
+        if (c.audio instanceof ArrayBuffer || c.audio instanceof Int16Array) {
+          c.audio = RealtimeUtils.arrayBufferToBase64(c.audio);
+        }
+      }
+    }
+    this.realtime.send('conversation.item.create', {
+      ...(previousItemId !== void 0
+        ? { previous_item_id: previousItemId }
+        : {}),
+      item,
+    });
+    return true;
+  }
+
   /**
    * Sends user message content and generates a response
    * @param {Array<InputTextContentType|InputAudioContentType>} content
+   * @param {{previousItemId?: string|null}} [options] See .createItem()
    * @returns {true}
    */
-  sendUserMessageContent(content = []) {
+  sendUserMessageContent(content = [], { previousItemId } = {}) {
     if (content.length) {
-      for (const c of content) {
-        if (c.type === 'input_audio') {
-          if (c.audio instanceof ArrayBuffer || c.audio instanceof Int16Array) {
-            c.audio = RealtimeUtils.arrayBufferToBase64(c.audio);
-          }
-        }
-      }
-      this.realtime.send('conversation.item.create', {
-        item: {
+      this.createItem(
+        {
           type: 'message',
           role: 'user',
           content,
         },
-      });
+        { previousItemId },
+      );
     }
     this.createResponse();
     return true;
@@ -573,9 +922,8 @@ export class RealtimeClient extends RealtimeEventHandler {
    * @returns {true}
    */
   appendInputAudio(arrayBuffer) {
-    console.log('appendInputAudio');
     if (arrayBuffer.byteLength > 0) {
-      console.log('appending audio');
+      this.logger.debug(`Appending ${arrayBuffer.byteLength} bytes of audio`);
       this.realtime.send('input_audio_buffer.append', {
         audio: RealtimeUtils.arrayBufferToBase64(arrayBuffer),
       });
@@ -583,14 +931,13 @@ export class RealtimeClient extends RealtimeEventHandler {
       //   this.inputAudioBuffer,
       //   arrayBuffer,
       // );
-      // console.log('appended audio');
-      // console.log(this.inputAudioBuffer.byteLength);
     }
     return true;
   }
 
   /**
    * Forces a model response generation
+   * Delayed until the token rate limit resets while fewer than `rateLimitThreshold` tokens remain
    * @returns {true}
    */
   createResponse() {
@@ -600,14 +947,44 @@ export class RealtimeClient extends RealtimeEventHandler {
     ) {
       this.realtime.send('input_audio_buffer.commit');
       this.conversation.queueInputAudio(this.inputAudioBuffer);
-      console.log('queued audio');
+      this.logger.debug(
+        `Committed ${this.inputAudioBuffer.byteLength} bytes of audio`,
+      );
       this.inputAudioBuffer = new Int16Array(0);
-      console.log('cleared audio');
     }
-    this.realtime.send('response.create');
+    const delay = this.getRateLimitDelay();
+    if (delay > 0) {
+      // Only one delayed response is created, however often this is called
+      if (!this.delayedResponseTimeout) {
+        this.dispatch('response.delayed', { delay });
+        this.delayedResponseTimeout = setTimeout(() => {
+          this.delayedResponseTimeout = null;
+          this.isConnected() && this.realtime.send('response.create');
+        }, delay);
+      }
+    } else {
+      this.realtime.send('response.create');
+    }
     return true;
   }
 
+  /**
+   * Gets how long to wait before creating a response, in milliseconds
+   * Non-zero while remaining tokens are below the `rateLimitThreshold` setting
+   * @returns {number}
+   */
+  getRateLimitDelay() {
+    const tokens = this.rateLimits.tokens;
+    if (
+      !this.rateLimitThreshold ||
+      !tokens ||
+      tokens.remaining >= this.rateLimitThreshold
+    ) {
+      return 0;
+    }
+    return Math.max(0, tokens.reset_at - Date.now());
+  }
+
   /**
    * Cancels the ongoing server generation and truncates ongoing generation, if applicable
    * If no id provided, will simply call `cancel_generation` command
@@ -647,22 +1024,66 @@ export class RealtimeClient extends RealtimeEventHandler {
     }
   }
 
+  /**
+   * Streams the deltas of the current response, or of the next one if none is in progress,
+   * ending after its `response.done` event
+   * @param {{signal?: AbortSignal}} [options]
+   * @returns {AsyncGenerator<ResponseDeltaType>}
+   */
+  async *streamResponse({ signal } = {}) {
+    const deltaTypes = {
+      'response.text.delta': 'text',
+      'response.audio.delta': 'audio',
+      'response.audio_transcript.delta': 'transcript',
+      'response.function_call_arguments.delta': 'arguments',
+    };
+    let responseId = null;
+    for await (const event of this.realtime.events('server.response.*', {
+      signal,
+    })) {
+      const eventResponseId = event.response_id || event.response?.id;
+      responseId = responseId || eventResponseId;
+      if (eventResponseId !== responseId) {
+        continue;
+      } else if (event.type === 'response.done') {
+        return;
+      }
+      const type = deltaTypes[event.type];
+      if (type) {
+        yield {
+          type,
+          delta:
+            type === 'audio'
+              ? new Int16Array(RealtimeUtils.base64ToArrayBuffer(event.delta))
+              : event.delta,
+          item: this.conversation.getItem(event.item_id),
+          responseId,
+        };
+      }
+    }
+  }
+
   /**
    * Utility for waiting for the next `conversation.item.appended` event to be triggered by the server
+   * @param {import('./event_handler.js').WaitForNextOptionsType} [options] `predicate` receives `{item}`
    * @returns {Promise<{item: ItemType}>}
    */
-  async waitForNextItem() {
-    const event = await this.waitForNext('conversation.item.appended');
+  async waitForNextItem(options = {}) {
+    const event = await this.waitForNext('conversation.item.appended', options);
     const { item } = event;
     return { item };
   }
 
   /**
    * Utility for waiting for the next `conversation.item.completed` event to be triggered by the server
+   * @param {import('./event_handler.js').WaitForNextOptionsType} [options] `predicate` receives `{item}`
    * @returns {Promise<{item: ItemType}>}
    */
-  async waitForNextCompletedItem() {
-    const event = await this.waitForNext('conversation.item.completed');
+  async waitForNextCompletedItem(options = {}) {
+    const event = await this.waitForNext(
+      'conversation.item.completed',
+      options,
+    );
     const { item } = event;
     return { item };
   }
@@ -1,4 +1,6 @@
 import { RealtimeUtils } from './utils.js';
+import { RealtimeLogger } from './logger.js';
+import { RealtimeAudioBuffer } from './audio_buffer.js';
 
 /**
  * Contains text and audio information about a item
@@ -11,29 +13,150 @@ import { RealtimeUtils } from './utils.js';
  */
 
 /**
- * RealtimeConversation holds conversation history
+ * How audio is stored in a conversation snapshot: "base64" embeds it, "omit" leaves it out
+ * and a function returns a reference to audio stored elsewhere, e.g. a file path or URL
+ * @typedef {"base64"|"omit"|((item: import('./client.js').ItemType) => any)} SnapshotAudioType
+ */
+
+/**
+ * Serialized conversation, see RealtimeConversation.toJSON()
+ * Items keep their `formatted` values, with `formatted.audio` as base64 when embedded
+ * and `formatted.audio_reference` when stored elsewhere
+ * @typedef {Object} ConversationSnapshotType
+ * @property {number} version
+ * @property {{[key: string]: any}[]} items
+ * @property {import('./client.js').ResponseResourceType[]} responses
+ */
+
+/**
+ * Position of an item on the call timeline, in milliseconds
+ * @typedef {Object} TimelineEntryType
+ * @property {import('./client.js').ItemType} item
+ * @property {number} start
+ * @property {number} end
+ */
+
+/**
+ * @typedef {Object} TimelineOptionsType
+ * @property {number} [frequency] Sample rate of item audio, defaults to 24,000 Hz
+ * @property {number} [defaultDuration] Duration of items without audio in milliseconds, defaults to 0
+ */
+
+/**
+ * Filters for .query(), every filter provided must match
+ * Filters accepting a list match any of its values
+ * @typedef {Object} ConversationQueryType
+ * @property {"user"|"assistant"|"system"|Array<"user"|"assistant"|"system">} [role]
+ * @property {"message"|"function_call"|"function_call_output"|Array<"message"|"function_call"|"function_call_output">} [type]
+ * @property {import('./client.js').ItemStatusType|import('./client.js').ItemStatusType[]} [status]
+ * @property {string} [responseId] Items output by this response
+ * @property {string|string[]} [toolName] Function calls of this tool and their outputs
+ * @property {string|RegExp} [text] Searches `formatted.text` and `formatted.transcript`, strings are case-insensitive
+ * @property {number} [limit] Keeps the last matching items
+ */
+
+/**
+ * RealtimeConversation holds conversation history in server order
  * and performs event validation for RealtimeAPI
  * @class
  */
 export class RealtimeConversation {
+  /**
+   * Version of the format written by .toJSON()
+   */
+  static snapshotVersion = 1;
+
+  /**
+   * Creates a conversation from a snapshot written by .toJSON()
+   * @param {ConversationSnapshotType|string} snapshot A snapshot or its JSON string
+   * @param {{loadAudio?: (reference: any, item: {[key: string]: any}) => Int16Array|ArrayBuffer|null, logger?: RealtimeLogger, retainAudio?: boolean}} [options]
+   * `loadAudio` resolves audio references created by a `toJSON({ audio })` function
+   * @returns {RealtimeConversation}
+   */
+  static fromJSON(snapshot, { loadAudio, logger, retainAudio } = {}) {
+    const conversation = new RealtimeConversation({ logger, retainAudio });
+    conversation.restore(snapshot, { loadAudio });
+    return conversation;
+  }
+
+  /**
+   * Places items on the call timeline
+   * User speech detected by server VAD starts at its `audio_start_ms`, other messages
+   * follow the previous message and last as long as their audio.
+   * Tool calls start with the next message without delaying it
+   * @param {import('./client.js').ItemType[]} items
+   * @param {TimelineOptionsType} [options]
+   * @returns {TimelineEntryType[]}
+   */
+  static createTimeline(
+    items,
+    { frequency = 24_000, defaultDuration = 0 } = {},
+  ) {
+    const timeline = [];
+    let cursor = 0;
+    let lastStart = 0;
+    for (const item of items) {
+      const formatted = item.formatted || {};
+      const samples = RealtimeConversation.getAudioLength(item);
+      let start = cursor;
+      let end =
+        cursor + (samples ? (samples / frequency) * 1000 : defaultDuration);
+      if (
+        typeof formatted.audio_start_ms === 'number' &&
+        typeof formatted.audio_end_ms === 'number'
+      ) {
+        // Entries stay in order of their start time
+        start = Math.max(formatted.audio_start_ms, lastStart);
+        end = Math.max(formatted.audio_end_ms, start);
+      }
+      if (item.type === 'message') {
+        cursor = Math.max(cursor, end);
+      }
+      lastStart = start;
+      timeline.push({ item, start, end });
+    }
+    return timeline;
+  }
+
+  /**
+   * Rough token cost of audio, used by .estimateTokens()
+   */
+  static audioTokensPerSecond = 10;
+
   defaultFrequency = 24_000; // 24,000 Hz
 
   EventProcessors = {
     'conversation.item.created': (event) => {
       const { item } = event;
       // deep copy values
-      const newItem = JSON.parse(JSON.stringify(item));
-      if (!this.itemLookup[newItem.id]) {
-        this.itemLookup[newItem.id] = newItem;
-        this.items.push(newItem);
+      if (this.itemLookup[item.id]) {
+        // Item already exists locally, e.g. replayed after a reconnection
+        return { item: this.itemLookup[item.id], delta: null };
       }
+      const newItem = JSON.parse(JSON.stringify(item));
+      this.itemLookup[newItem.id] = newItem;
+      this.items.splice(
+        this.getInsertIndex(event.previous_item_id),
+        0,
+        newItem,
+      );
       newItem.formatted = {};
-      newItem.formatted.audio = new Int16Array(0);
+      RealtimeAudioBuffer.attach(newItem.formatted, {
+        retain: this.retainAudio,
+      });
       newItem.formatted.text = '';
       newItem.formatted.transcript = '';
       // If we have a speech item, can populate audio
       if (this.queuedSpeechItems[newItem.id]) {
-        newItem.formatted.audio = this.queuedSpeechItems[newItem.id].audio;
+        const speech = this.queuedSpeechItems[newItem.id];
+        if (speech.audio) {
+          newItem.formatted.audio = speech.audio;
+        }
+        // Keep VAD timings, they place the item on the input audio timeline
+        newItem.formatted.audio_start_ms = speech.audio_start_ms;
+        if (typeof speech.audio_end_ms === 'number') {
+          newItem.formatted.audio_end_ms = speech.audio_end_ms;
+        }
         delete this.queuedSpeechItems[newItem.id]; // free up some memory
       }
       // Populate formatted text if it comes out on creation
@@ -46,8 +169,19 @@ export class RealtimeConversation {
         }
       }
       // If we have a transcript item, can pre-populate transcript
+      let transcriptDelta = null;
       if (this.queuedTranscriptItems[newItem.id]) {
-        newItem.formatted.transcript = this.queuedTranscriptItems.transcript;
+        const queued = this.queuedTranscriptItems[newItem.id];
+        newItem.formatted.transcript = queued.transcript || '';
+        const content = newItem.content?.[queued.content_index];
+        if (content && typeof queued.text === 'string') {
+          // Later deltas and ".completed" build on the content transcript
+          content.transcript = queued.text;
+          transcriptDelta = queued.text ? { transcript: queued.text } : null;
+        }
+        if (queued.transcriptionError) {
+          newItem.formatted.transcriptionError = queued.transcriptionError;
+        }
         delete this.queuedTranscriptItems[newItem.id];
       }
       if (newItem.type === 'message') {
@@ -72,7 +206,7 @@ export class RealtimeConversation {
         newItem.status = 'completed';
         newItem.formatted.output = newItem.output;
       }
-      return { item: newItem, delta: null };
+      return { item: newItem, delta: transcriptDelta };
     },
     'conversation.item.truncated': (event) => {
       const { item_id, audio_end_ms } = event;
@@ -84,40 +218,69 @@ export class RealtimeConversation {
         (audio_end_ms * this.defaultFrequency) / 1000,
       );
       item.formatted.transcript = '';
-      item.formatted.audio = item.formatted.audio.slice(0, endIndex);
+      item.formatted.audioBuffer.truncate(endIndex);
       return { item, delta: null };
     },
     'conversation.item.deleted': (event) => {
       const { item_id } = event;
-      const item = this.itemLookup[item_id];
-      if (!item) {
+      if (!this.itemLookup[item_id]) {
         throw new Error(`item.deleted: Item "${item_id}" not found`);
       }
-      delete this.itemLookup[item.id];
-      const index = this.items.indexOf(item);
-      if (index > -1) {
-        this.items.splice(index, 1);
-      }
-      return { item, delta: null };
+      return { item: this.deleteItem(item_id), delta: null };
     },
     'conversation.item.input_audio_transcription.completed': (event) => {
       const { item_id, content_index, transcript } = event;
       const item = this.itemLookup[item_id];
+      const text = transcript || '';
       // We use a single space to represent an empty transcript for .formatted values
       // Otherwise it looks like no transcript provided
-      const formattedTranscript = transcript || ' ';
+      const formattedTranscript = text || ' ';
       if (!item) {
         // We can receive transcripts in VAD mode before item.created
         // This happens specifically when audio is empty
         this.queuedTranscriptItems[item_id] = {
           transcript: formattedTranscript,
+          text,
+          content_index,
         };
         return { item: null, delta: null };
       } else {
-        item.content[content_index].transcript = transcript;
+        // Only the part not streamed by ".delta" events is new
+        const partial = item.content[content_index].transcript || '';
+        const rest = text.startsWith(partial) ? text.slice(partial.length) : '';
+        item.content[content_index].transcript = text;
         item.formatted.transcript = formattedTranscript;
-        return { item, delta: { transcript } };
+        return {
+          item,
+          delta: !partial || rest ? { transcript: rest } : null,
+        };
+      }
+    },
+    'conversation.item.input_audio_transcription.delta': (event) => {
+      const { item_id, content_index, delta } = event;
+      const item = this.itemLookup[item_id];
+      if (!item) {
+        const queued = this.queuedTranscriptItems[item_id] || {};
+        queued.text = (queued.text || '') + delta;
+        queued.transcript = queued.text;
+        queued.content_index = content_index;
+        this.queuedTranscriptItems[item_id] = queued;
+        return { item: null, delta: null };
+      }
+      const content = item.content[content_index];
+      content.transcript = (content.transcript || '') + delta;
+      item.formatted.transcript = content.transcript;
+      return { item, delta: { transcript: delta } };
+    },
+    'conversation.item.input_audio_transcription.failed': (event) => {
+      const { item_id, error } = event;
+      const item = this.itemLookup[item_id];
+      if (!item) {
+        this.queuedTranscriptItems[item_id] = { transcriptionError: error };
+        return { item: null, delta: null };
       }
+      item.formatted.transcriptionError = error;
+      return { item, delta: null };
     },
     'input_audio_buffer.speech_started': (event) => {
       const { item_id, audio_start_ms } = event;
@@ -150,6 +313,33 @@ export class RealtimeConversation {
       }
       return { item: null, delta: null };
     },
+    'response.done': (event) => {
+      const { response } = event;
+      const outputIds = (response.output || []).map((item) => item.id);
+      let storedResponse = this.responseLookup[response.id];
+      if (!storedResponse) {
+        // response.created was missed, e.g. when replaying part of a session
+        storedResponse = { ...response, output: [] };
+        this.responseLookup[response.id] = storedResponse;
+        this.responses.push(storedResponse);
+      }
+      storedResponse.status = response.status;
+      storedResponse.status_details = response.status_details || null;
+      storedResponse.usage = response.usage || null;
+      for (const id of outputIds) {
+        if (!storedResponse.output.includes(id)) {
+          storedResponse.output.push(id);
+        }
+      }
+      // Items of cancelled or failed responses may never get output_item.done
+      for (const outputItem of response.output || []) {
+        const item = this.itemLookup[outputItem.id];
+        if (item && item.status === 'in_progress' && outputItem.status) {
+          item.status = outputItem.status;
+        }
+      }
+      return { item: null, delta: null };
+    },
     'response.output_item.added': (event) => {
       const { response_id, item } = event;
       const response = this.responseLookup[response_id];
@@ -186,6 +376,17 @@ export class RealtimeConversation {
       item.content.push(part);
       return { item, delta: null };
     },
+    'response.content_part.done': (event) => {
+      const { item_id, content_index, part } = event;
+      const item = this.itemLookup[item_id];
+      if (!item) {
+        throw new Error(
+          `response.content_part.done: Item "${item_id}" not found`,
+        );
+      }
+      this.reconcileContent(item, content_index, part);
+      return { item, delta: null };
+    },
     'response.audio_transcript.delta': (event) => {
       const { item_id, content_index, delta } = event;
       const item = this.itemLookup[item_id];
@@ -198,6 +399,17 @@ export class RealtimeConversation {
       item.formatted.transcript += delta;
       return { item, delta: { transcript: delta } };
     },
+    'response.audio_transcript.done': (event) => {
+      const { item_id, content_index, transcript } = event;
+      const item = this.itemLookup[item_id];
+      if (!item) {
+        throw new Error(
+          `response.audio_transcript.done: Item "${item_id}" not found`,
+        );
+      }
+      this.reconcileContent(item, content_index, { transcript });
+      return { item, delta: null };
+    },
     'response.audio.delta': (event) => {
       const { item_id, content_index, delta } = event;
       const item = this.itemLookup[item_id];
@@ -208,12 +420,17 @@ export class RealtimeConversation {
       // item.content[content_index].audio += delta;
       const arrayBuffer = RealtimeUtils.base64ToArrayBuffer(delta);
       const appendValues = new Int16Array(arrayBuffer);
-      item.formatted.audio = RealtimeUtils.mergeInt16Arrays(
-        item.formatted.audio,
-        appendValues,
-      );
+      item.formatted.audioBuffer.append(appendValues);
       return { item, delta: { audio: appendValues } };
     },
+    'response.audio.done': (event) => {
+      const { item_id } = event;
+      const item = this.itemLookup[item_id];
+      if (!item) {
+        throw new Error(`response.audio.done: Item "${item_id}" not found`);
+      }
+      return { item, delta: null };
+    },
     'response.text.delta': (event) => {
       const { item_id, content_index, delta } = event;
       const item = this.itemLookup[item_id];
@@ -224,6 +441,15 @@ export class RealtimeConversation {
       item.formatted.text += delta;
       return { item, delta: { text: delta } };
     },
+    'response.text.done': (event) => {
+      const { item_id, content_index, text } = event;
+      const item = this.itemLookup[item_id];
+      if (!item) {
+        throw new Error(`response.text.done: Item "${item_id}" not found`);
+      }
+      this.reconcileContent(item, content_index, { text });
+      return { item, delta: null };
+    },
     'response.function_call_arguments.delta': (event) => {
       const { item_id, delta } = event;
       const item = this.itemLookup[item_id];
@@ -236,13 +462,30 @@ export class RealtimeConversation {
       item.formatted.tool.arguments += delta;
       return { item, delta: { arguments: delta } };
     },
+    'response.function_call_arguments.done': (event) => {
+      const { item_id, arguments: args } = event;
+      const item = this.itemLookup[item_id];
+      if (!item) {
+        throw new Error(
+          `response.function_call_arguments.done: Item "${item_id}" not found`,
+        );
+      }
+      item.arguments = args;
+      item.formatted.tool.arguments = args;
+      return { item, delta: null };
+    },
   };
 
   /**
    * Create a new RealtimeConversation instance
+   * @param {{logger?: RealtimeLogger, retainAudio?: boolean}} [settings]
+   * `retainAudio: false` keeps no audio in `formatted.audio`, deltas are still dispatched
    * @returns {RealtimeConversation}
    */
-  constructor() {
+  constructor({ logger, retainAudio = true } = {}) {
+    this.logger =
+      logger || new RealtimeLogger({ namespace: 'realtime:conversation' });
+    this.retainAudio = retainAudio;
     this.clear();
   }
 
@@ -258,6 +501,130 @@ export class RealtimeConversation {
     this.queuedSpeechItems = {};
     this.queuedTranscriptItems = {};
     this.queuedInputAudio = null;
+    this.sessionHeadId = null;
+    return true;
+  }
+
+  /**
+   * Marks the current items as carried over from a previous session, e.g. after reconnecting
+   * The new session does not know them, so items it creates at its head
+   * with `previous_item_id: null` are placed after them
+   * @returns {true}
+   */
+  startSession() {
+    this.sessionHeadId = this.items.length
+      ? this.items[this.items.length - 1].id
+      : null;
+    return true;
+  }
+
+  /**
+   * Serializes items and responses to a versioned snapshot
+   * Called by JSON.stringify() with default options, which omit audio
+   * @param {{audio?: SnapshotAudioType}|string} [options]
+   * @returns {ConversationSnapshotType}
+   */
+  toJSON(options = {}) {
+    // JSON.stringify() passes the property name instead of options
+    const { audio = 'omit' } = typeof options === 'object' ? options : {};
+    const items = this.items.map((item) => {
+      const { formatted, ...rest } = item;
+      const { audio: formattedAudio, ...formattedRest } = formatted;
+      const snapshotItem = JSON.parse(
+        JSON.stringify({ ...rest, formatted: formattedRest }),
+      );
+      if (formattedAudio && formattedAudio.length) {
+        if (typeof audio === 'function') {
+          snapshotItem.formatted.audio_reference = audio(item);
+        } else if (audio === 'base64') {
+          snapshotItem.formatted.audio = RealtimeUtils.arrayBufferToBase64(
+            formattedAudio.slice(),
+          );
+        }
+      }
+      return snapshotItem;
+    });
+    return {
+      version: RealtimeConversation.snapshotVersion,
+      items,
+      responses: JSON.parse(JSON.stringify(this.responses)),
+    };
+  }
+
+  /**
+   * Creates a detached copy of the conversation, including audio
+   * Changes to the copy do not affect this conversation
+   * @param {{untilItemId?: string}} [options] Only keeps items up to and including this item,
+   * and the responses that created them
+   * @returns {RealtimeConversation}
+   */
+  snapshot({ untilItemId } = {}) {
+    const snapshot = this.toJSON({ audio: (item) => item.formatted.audio });
+    if (untilItemId !== void 0) {
+      const index = this.getItemIndex(untilItemId);
+      if (index === -1) {
+        throw new Error(`Item "${untilItemId}" not found`);
+      }
+      snapshot.items = snapshot.items.slice(0, index + 1);
+      const ids = snapshot.items.map((item) => item.id);
+      snapshot.responses = snapshot.responses.filter((response) =>
+        (response.output || []).every((id) => ids.includes(id)),
+      );
+    }
+    const conversation = RealtimeConversation.fromJSON(snapshot, {
+      // Audio references are the original arrays, restoring copies them
+      loadAudio: (audio) => audio,
+      logger: this.logger,
+      retainAudio: this.retainAudio,
+    });
+    conversation.defaultFrequency = this.defaultFrequency;
+    return conversation;
+  }
+
+  /**
+   * Replaces the conversation history with a snapshot written by .toJSON()
+   * @param {ConversationSnapshotType|string} snapshot A snapshot or its JSON string
+   * @param {{loadAudio?: (reference: any, item: {[key: string]: any}) => Int16Array|ArrayBuffer|null}} [options]
+   * @returns {true}
+   */
+  restore(snapshot, { loadAudio } = {}) {
+    if (typeof snapshot === 'string') {
+      snapshot = JSON.parse(snapshot);
+    }
+    if (!snapshot || !Array.isArray(snapshot.items)) {
+      throw new Error(`Invalid conversation snapshot: missing "items"`);
+    } else if (snapshot.version !== RealtimeConversation.snapshotVersion) {
+      throw new Error(
+        `Unsupported conversation snapshot version "${snapshot.version}", expected ${RealtimeConversation.snapshotVersion}`,
+      );
+    }
+    this.clear();
+    for (const snapshotItem of snapshot.items) {
+      const item = JSON.parse(JSON.stringify(snapshotItem));
+      const { audio, audio_reference, ...formatted } = item.formatted || {};
+      // References are passed as-is, they may not survive a JSON round-trip
+      const reference = snapshotItem.formatted?.audio_reference;
+      let restoredAudio = null;
+      if (typeof audio === 'string') {
+        restoredAudio = RealtimeUtils.base64ToArrayBuffer(audio);
+      } else if (reference !== void 0 && loadAudio) {
+        restoredAudio = loadAudio(reference, snapshotItem);
+      }
+      item.formatted = {};
+      RealtimeAudioBuffer.attach(item.formatted, { retain: this.retainAudio });
+      Object.assign(item.formatted, formatted);
+      if (restoredAudio) {
+        item.formatted.audio = new Int16Array(restoredAudio);
+      }
+      this.itemLookup[item.id] = item;
+      this.items.push(item);
+    }
+    for (const response of snapshot.responses || []) {
+      const restoredResponse = JSON.parse(JSON.stringify(response));
+      this.responseLookup[restoredResponse.id] = restoredResponse;
+      this.responses.push(restoredResponse);
+    }
+    this.startSession();
     return true;
   }
 
@@ -279,11 +646,11 @@ export class RealtimeConversation {
    */
   processEvent(event, ...args) {
     if (!event.event_id) {
-      console.error(event);
+      this.logger.error(`Missing "event_id" on event`, event);
       throw new Error(`Missing "event_id" on event`);
     }
     if (!event.type) {
-      console.error(event);
+      this.logger.error(`Missing "type" on event`, event);
       throw new Error(`Missing "type" on event`);
     }
     const eventProcessor = this.EventProcessors[event.type];
@@ -295,6 +662,136 @@ export class RealtimeConversation {
     return eventProcessor.call(this, event, ...args);
   }
 
+  /**
+   * Finds where a new item goes from its `previous_item_id`:
+   * after the referenced item, at the head for null or at the end when not provided
+   * @private
+   * @param {string|null} [previousItemId]
+   * @returns {number}
+   */
+  getInsertIndex(previousItemId) {
+    if (previousItemId === void 0) {
+      return this.items.length;
+    } else if (previousItemId === null) {
+      return this.sessionHeadId ? this.getItemIndex(this.sessionHeadId) + 1 : 0;
+    }
+    const index = this.getItemIndex(previousItemId);
+    if (index === -1) {
+      this.logger.warn(
+        `Previous item "${previousItemId}" not found, appending item instead`,
+      );
+      return this.items.length;
+    }
+    return index + 1;
+  }
+
+  /**
+   * Replaces streamed content with the final values of a ".done" event
+   * and updates the matching formatted values
+   * @private
+   * @param {import('./client.js').ItemType} item
+   * @param {number} contentIndex
+   * @param {{[key: string]: any}} values
+   * @returns {true}
+   */
+  reconcileContent(item, contentIndex, values) {
+    const content = item.content[contentIndex];
+    if (!content) {
+      throw new Error(
+        `Item "${item.id}" has no content at index ${contentIndex}`,
+      );
+    }
+    Object.assign(content, values);
+    if (typeof values.text === 'string') {
+      item.formatted.text = item.content
+        .filter((c) => ['text', 'input_text'].includes(c.type))
+        .map((c) => c.text || '')
+        .join('');
+    }
+    if (typeof values.transcript === 'string') {
+      item.formatted.transcript = item.content
+        .filter((c) => c.type === 'audio')
+        .map((c) => c.transcript || '')
+        .join('');
+    }
+    return true;
+  }
+
+  /**
+   * Converts an item to a payload for the "conversation.item.create" client event
+   * Audio content is sent as its transcript, user audio without a transcript as `formatted.audio`
+   * Returns null if the item can not be recreated
+   * @param {import('./client.js').ItemType} item
+   * @returns {import('./client.js').BaseItemType|null}
+   */
+  toCreateItem(item) {
+    if (item.type === 'message') {
+      const isAssistant = item.role === 'assistant';
+      const content = [];
+      let audioSent = false;
+      for (const c of item.content || []) {
+        const text = ['text', 'input_text'].includes(c.type)
+          ? c.text
+          : c.transcript;
+        if (text) {
+          content.push({ type: isAssistant ? 'text' : 'input_text', text });
+        } else if (
+          c.type === 'input_audio' &&
+          !audioSent &&
+          RealtimeConversation.getAudioLength(item)
+        ) {
+          // Items keep a single audio track in `formatted.audio`
+          audioSent = true;
+          content.push({
+            type: 'input_audio',
+            audio: RealtimeUtils.arrayBufferToBase64(item.formatted.audio),
+          });
+        }
+      }
+      if (!content.length) {
+        return null;
+      }
+      return { id: item.id, type: 'message', role: item.role, content };
+    } else if (item.type === 'function_call') {
+      return {
+        id: item.id,
+        type: 'function_call',
+        call_id: item.call_id,
+        name: item.name,
+        arguments: item.arguments,
+      };
+    } else if (item.type === 'function_call_output') {
+      return {
+        id: item.id,
+        type: 'function_call_output',
+        call_id: item.call_id,
+        output: item.output,
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Removes an item from the local conversation only, the server is not notified
+   * @param {string} id
+   * @returns {import('./client.js').ItemType|null} The removed item
+   */
+  deleteItem(id) {
+    const item = this.itemLookup[id];
+    if (!item) {
+      return null;
+    }
+    delete this.itemLookup[id];
+    const index = this.items.indexOf(item);
+    if (index > -1) {
+      if (this.sessionHeadId === item.id) {
+        this.sessionHeadId = index > 0 ? this.items[index - 1].id : null;
+      }
+      this.items.splice(index, 1);
+    }
+    return item;
+  }
+
   /**
    * Retrieves a item by id
    * @param {string} id
@@ -311,4 +808,319 @@ export class RealtimeConversation {
   getItems() {
     return this.items.slice();
   }
+
+  /**
+   * Retrieves the position of an item in the conversation
+   * @param {string} id
+   * @returns {number} -1 if the item does not exist
+   */
+  getItemIndex(id) {
+    const item = this.itemLookup[id];
+    return item ? this.items.indexOf(item) : -1;
+  }
+
+  /**
+   * Retrieves the item before an item, in server order
+   * @param {string} id
+   * @returns {import('./client.js').ItemType|null}
+   */
+  getPreviousItem(id) {
+    const index = this.getItemIndex(id);
+    return index > 0 ? this.items[index - 1] : null;
+  }
+
+  /**
+   * Retrieves the item after an item, in server order
+   * @param {string} id
+   * @returns {import('./client.js').ItemType|null}
+   */
+  getNextItem(id) {
+    const index = this.getItemIndex(id);
+    return index > -1 ? this.items[index + 1] || null : null;
+  }
+
+  /**
+   * Places the items of the conversation on the call timeline
+   * @param {{defaultDuration?: number}} [options] Duration of items without audio in milliseconds
+   * @returns {TimelineEntryType[]}
+   */
+  getTimeline({ defaultDuration = 0 } = {}) {
+    return RealtimeConversation.createTimeline(this.items, {
+      frequency: this.defaultFrequency,
+      defaultDuration,
+    });
+  }
+
+  /**
+   * Gets the number of audio samples an item holds without merging its audio chunks
+   * @private
+   * @param {import('./client.js').ItemType} item
+   * @returns {number}
+   */
+  static getAudioLength(item) {
+    const formatted = item.formatted || {};
+    return formatted.audioBuffer
+      ? formatted.audioBuffer.length
+      : formatted.audio?.length || 0;
+  }
+
+  /**
+   * Renders the audio of the whole conversation, truncated items keep only the audio played
+   * Mono concatenates items in order, stereo places user speech on the left
+   * and assistant audio on the right at their position on the timeline
+   * @param {{channels?: 1|2}} [options]
+   * @returns {Int16Array} Samples at `defaultFrequency`, interleaved when stereo
+   */
+  getAudio({ channels = 1 } = {}) {
+    if (channels === 1) {
+      const length = this.items.reduce(
+        (sum, item) => sum + RealtimeConversation.getAudioLength(item),
+        0,
+      );
+      const audio = new Int16Array(length);
+      let offset = 0;
+      for (const item of this.items) {
+        if (RealtimeConversation.getAudioLength(item)) {
+          audio.set(item.formatted.audio, offset);
+          offset += item.formatted.audio.length;
+        }
+      }
+      return audio;
+    } else if (channels !== 2) {
+      throw new Error(`Invalid "channels" ${channels}, must be 1 or 2`);
+    }
+    const placed = [];
+    let length = 0;
+    for (const { item, start } of this.getTimeline()) {
+      if (
+        !['user', 'assistant'].includes(item.role) ||
+        !RealtimeConversation.getAudioLength(item)
+      ) {
+        continue;
+      }
+      const audio = item.formatted.audio;
+      const offset = Math.round((start * this.defaultFrequency) / 1000);
+      placed.push({ audio, offset, channel: item.role === 'user' ? 0 : 1 });
+      length = Math.max(length, offset + audio.length);
+    }
+    const stereo = new Int16Array(length * 2);
+    for (const { audio, offset, channel } of placed) {
+      for (let i = 0; i < audio.length; i++) {
+        const index = (offset + i) * 2 + channel;
+        // Overlapping audio on the same side is mixed
+        stereo[index] = Math.max(
+          -0x8000,
+          Math.min(0x7fff, stereo[index] + audio[i]),
+        );
+      }
+    }
+    return stereo;
+  }
+
+  /**
+   * Renders the audio of the whole conversation as a WAV file, see .getAudio()
+   * @param {{channels?: 1|2}} [options]
+   * @returns {ArrayBuffer}
+   */
+  toWAV({ channels = 1 } = {}) {
+    return RealtimeUtils.encodeWAV(this.getAudio({ channels }), {
+      sampleRate: this.defaultFrequency,
+      channels,
+    });
+  }
+
+  /**
+   * Roughly estimates the tokens an item uses in the model context:
+   * 4 characters of text per token plus `audioTokensPerSecond` for audio,
+   * including audio released locally by .releaseAudio()
+   * @param {import('./client.js').ItemType} item
+   * @returns {number}
+   */
+  estimateTokens(item) {
+    const formatted = item.formatted || {};
+    const text = [
+      formatted.text,
+      formatted.transcript,
+      item.arguments,
+      item.output,
+    ]
+      .filter((value) => typeof value === 'string')
+      .join('');
+    const samples =
+      RealtimeConversation.getAudioLength(item) +
+      (formatted.releasedAudioLength || 0);
+    const seconds = samples / this.defaultFrequency;
+    return Math.ceil(
+      text.length / 4 + seconds * RealtimeConversation.audioTokensPerSecond,
+    );
+  }
+
+  /**
+   * Selects the oldest items to delete so the conversation fits within limits
+   * Function calls and their outputs are selected together, selection stops
+   * at the first item still in progress or tool call still awaiting its output
+   * @param {{maxItems?: number, maxTokens?: number}} limits
+   * @param {Set<string>} [excludedIds] Items already being deleted, they are not counted
+   * @returns {import('./client.js').ItemType[]}
+   */
+  getItemsToPrune({ maxItems = Infinity, maxTokens = Infinity }, excludedIds) {
+    const items = this.items.filter(
+      (item) => !excludedIds || !excludedIds.has(item.id),
+    );
+    let count = items.length;
+    let tokens = items.reduce(
+      (sum, item) => sum + this.estimateTokens(item),
+      0,
+    );
+    const selected = new Set();
+    for (const item of items) {
+      if (count <= maxItems && tokens <= maxTokens) {
+        break;
+      } else if (selected.has(item)) {
+        continue;
+      }
+      const group = item.call_id
+        ? items.filter((i) => i.call_id === item.call_id)
+        : [item];
+      const isPending =
+        group.some((i) => i.status === 'in_progress') ||
+        (item.call_id && !group.some((i) => i.type === 'function_call_output'));
+      if (isPending) {
+        break;
+      }
+      for (const i of group) {
+        selected.add(i);
+        count--;
+        tokens -= this.estimateTokens(i);
+      }
+    }
+    return items.filter((item) => selected.has(item));
+  }
+
+  /**
+   * Releases `formatted.audio` of the oldest items until at most
+   * `maxAudioSeconds` of audio is held in memory, items in progress keep their audio
+   * @param {number} maxAudioSeconds
+   * @returns {import('./client.js').ItemType[]} Items whose audio was released
+   */
+  releaseAudio(maxAudioSeconds) {
+    const maxSamples = maxAudioSeconds * this.defaultFrequency;
+    let samples = this.items.reduce(
+      (sum, item) => sum + RealtimeConversation.getAudioLength(item),
+      0,
+    );
+    const released = [];
+    for (const item of this.items) {
+      const length = RealtimeConversation.getAudioLength(item);
+      if (samples <= maxSamples) {
+        break;
+      } else if (item.status === 'in_progress' || !length) {
+        continue;
+      }
+      samples -= length;
+      // The server still holds the audio, it keeps counting towards maxTokens
+      item.formatted.releasedAudioLength =
+        (item.formatted.releasedAudioLength || 0) + length;
+      item.formatted.audio = new Int16Array(0);
+      released.push(item);
+    }
+    return released;
+  }
+
+  /**
+   * Retrieves the items matching all filters, in conversation order
+   * @param {ConversationQueryType} [query]
+   * @returns {import('./client.js').ItemType[]}
+   */
+  query({ role, type, status, responseId, toolName, text, limit } = {}) {
+    const matches = (filter, value) =>
+      filter === void 0 || [].concat(filter).includes(value);
+    const responseItemIds =
+      responseId === void 0
+        ? null
+        : this.responseLookup[responseId]?.output || [];
+    const toolNames = {};
+    for (const item of this.items) {
+      if (item.type === 'function_call') {
+        toolNames[item.call_id] = item.name;
+      }
+    }
+    let search = null;
+    if (text instanceof RegExp) {
+      search = (value) => {
+        // Global and sticky expressions keep state between calls
+        text.lastIndex = 0;
+        return text.test(value);
+      };
+    } else if (text !== void 0) {
+      const lowerCaseText = text.toLowerCase();
+      search = (value) => value.toLowerCase().includes(lowerCaseText);
+    }
+    const items = this.items.filter(
+      (item) =>
+        matches(role, item.role) &&
+        matches(type, item.type) &&
+        matches(status, item.status) &&
+        (!responseItemIds || responseItemIds.includes(item.id)) &&
+        (toolName === void 0 ||
+          (!!item.call_id && matches(toolName, toolNames[item.call_id]))) &&
+        (!search ||
+          [item.formatted.text, item.formatted.transcript].some(
+            (value) => typeof value === 'string' && search(value),
+          )),
+    );
+    return limit === void 0
+      ? items
+      : items.slice(Math.max(items.length - limit, 0));
+  }
+
+  /**
+   * Retrieves the most recent assistant message
+   * @returns {import('./client.js').ItemType|null}
+   */
+  getLastAssistantMessage() {
+    return (
+      this.query({ type: 'message', role: 'assistant', limit: 1 })[0] || null
+    );
+  }
+
+  /**
+   * Retrieves the items output by a response, in conversation order
+   * @param {string} responseId
+   * @returns {import('./client.js').ItemType[]}
+   */
+  getItemsForResponse(responseId) {
+    return this.query({ responseId });
+  }
+
+  /**
+   * Retrieves function calls without an output yet,
+   * including calls whose arguments are still streaming
+   * @returns {import('./client.js').ItemType[]}
+   */
+  getPendingToolCalls() {
+    const answered = new Set(
+      this.query({ type: 'function_call_output' }).map((item) => item.call_id),
+    );
+    return this.query({ type: 'function_call' }).filter(
+      (item) => !answered.has(item.call_id),
+    );
+  }
+
+  /**
+   * Retrieves a response by id, its `output` holds the ids of its items
+   * @param {string} id
+   * @returns {import('./client.js').ResponseResourceType|null}
+   */
+  getResponse(id) {
+    return this.responseLookup[id] || null;
+  }
+
+  /**
+   * Retrieves all responses in the conversation, in order of creation
+   * @returns {import('./client.js').ResponseResourceType[]}
+   */
+  getResponses() {
+    return this.responses.slice();
+  }
 }
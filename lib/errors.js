@@ -0,0 +1,113 @@
+/**
+ * Error payload of the "error" server event
+ * @typedef {Object} ErrorEventDetailsType
+ * @property {string} type
+ * @property {string|null} [code]
+ * @property {string} message
+ * @property {string|null} [param]
+ * @property {string|null} [event_id] Id of the client event that caused the error
+ */
+
+/**
+ * Base class for errors reported by the Realtime API
+ * @class
+ */
+export class RealtimeError extends Error {
+  /**
+   * Creates the most specific error class for an "error" server event
+   * @param {{event_id?: string, error: ErrorEventDetailsType}} event
+   * @param {{[key: string]: any}|null} [originatingEvent] Client event that caused the error, if known
+   * @returns {RealtimeError}
+   */
+  static fromEvent(event, originatingEvent = null) {
+    const { type, code } = event.error || {};
+    let ErrorClass = RealtimeError;
+    if (code === 'invalid_api_key' || type === 'authentication_error') {
+      ErrorClass = RealtimeAuthenticationError;
+    } else if (code === 'rate_limit_exceeded' || type === 'rate_limit_error') {
+      ErrorClass = RealtimeRateLimitError;
+    } else if (type === 'invalid_request_error') {
+      ErrorClass = RealtimeInvalidRequestError;
+    } else if (type === 'server_error') {
+      ErrorClass = RealtimeServerError;
+    }
+    return new ErrorClass(event.error?.message || 'Unknown error', {
+      type,
+      code,
+      param: event.error?.param,
+      eventId: event.error?.event_id,
+      serverEventId: event.event_id,
+      originatingEvent,
+    });
+  }
+
+  /**
+   * Create a new RealtimeError instance
+   * @param {string} message
+   * @param {{type?: string, code?: string|null, param?: string|null, eventId?: string|null, serverEventId?: string|null, originatingEvent?: {[key: string]: any}|null}} [details]
+   * @returns {RealtimeError}
+   */
+  constructor(
+    message,
+    { type, code, param, eventId, serverEventId, originatingEvent } = {},
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.type = type || null;
+    this.code = code || null;
+    this.param = param || null;
+    this.eventId = eventId || null;
+    this.serverEventId = serverEventId || null;
+    this.originatingEvent = originatingEvent || null;
+  }
+}
+
+/**
+ * The request was malformed or referenced missing resources
+ */
+export class RealtimeInvalidRequestError extends RealtimeError {}
+
+/**
+ * The API key is missing or invalid
+ */
+export class RealtimeAuthenticationError extends RealtimeError {}
+
+/**
+ * Rate limits were exceeded
+ */
+export class RealtimeRateLimitError extends RealtimeError {}
+
+/**
+ * The server failed to process the request
+ */
+export class RealtimeServerError extends RealtimeError {}
+
+/**
+ * No acknowledgement or awaited event was received in time
+ */
+export class RealtimeTimeoutError extends RealtimeError {}
+
+/**
+ * The connection closed before an awaited event was received
+ */
+export class RealtimeConnectionClosedError extends RealtimeError {}
+
+/**
+ * An event listener threw or rejected, the original error is kept in `cause`
+ */
+export class RealtimeListenerError extends RealtimeError {
+  /**
+   * Create a new RealtimeListenerError instance
+   * @param {string} eventName Event the listener was called for
+   * @param {any} cause
+   * @returns {RealtimeListenerError}
+   */
+  constructor(eventName, cause) {
+    super(
+      `Listener for "${eventName}" failed: ${cause?.message || String(cause)}`,
+      { type: 'listener_error' },
+    );
+    this.eventName = eventName;
+    this.cause = cause;
+  }
+}
@@ -3,14 +3,72 @@
  * @typedef {(event: {[key: string]: any}): void} EventHandlerCallbackType
  */
 
-const sleep = (t) => new Promise((r) => setTimeout(() => r(), t));
+/**
+ * Removes the listener it was returned for, returns false if it was already removed
+ * @typedef {() => boolean} EventHandlerUnsubscribeType
+ */
+
+/**
+ * @typedef {Object} EventHandlerOptionsType
+ * @property {string} [group] Listeners sharing a group can be removed together with .offGroup()
+ * @property {AbortSignal} [signal] Removes the listener once aborted
+ */
+
+/**
+ * @typedef {Object} WaitForNextOptionsType
+ * @property {(event: {[key: string]: any}) => boolean} [predicate] Skips events it returns false for
+ * @property {number|null} [timeout] In milliseconds
+ * @property {AbortSignal} [signal]
+ */
+
+/**
+ * @typedef {Object} EventHandlerEntryType
+ * @property {EventHandlerCallbackType} callback
+ * @property {EventHandlerUnsubscribeType} unsubscribe
+ * @property {string|null} group
+ * @property {number} sequence Registration order across all event names and patterns
+ */
+
+import { RealtimeLogger } from './logger.js';
+import { RealtimeTimeoutError, RealtimeListenerError } from './errors.js';
 
 /**
  * Inherited class for RealtimeAPI and RealtimeClient
  * Adds basic event handling
+ * Event names can be patterns: a trailing "*" matches any remaining segments,
+ * e.g. "server.response.*", and a "*" elsewhere matches a single segment,
+ * e.g. "server.*.done"
  * @class
  */
 export class RealtimeEventHandler {
+  /**
+   * Tells us whether an event name matches an exact name or pattern
+   * @param {string} pattern
+   * @param {string} eventName
+   * @returns {boolean}
+   */
+  static matchesEventName(pattern, eventName) {
+    if (pattern === eventName) {
+      return true;
+    } else if (!pattern.includes('*')) {
+      return false;
+    }
+    const patternSegments = pattern.split('.');
+    const segments = eventName.split('.');
+    for (let i = 0; i < patternSegments.length; i++) {
+      if (i >= segments.length) {
+        return false;
+      } else if (patternSegments[i] === '*') {
+        if (i === patternSegments.length - 1) {
+          return true;
+        }
+      } else if (patternSegments[i] !== segments[i]) {
+        return false;
+      }
+    }
+    return patternSegments.length === segments.length;
+  }
+
   /**
    * Create a new RealtimeEventHandler instance
    * @returns {RealtimeEventHandler}
@@ -18,6 +76,9 @@ export class RealtimeEventHandler {
   constructor() {
     this.eventHandlers = {};
     this.nextEventHandlers = {};
+    this.handlerSequence = 0;
+    this.pendingWaits = new Set();
+    this.logger = new RealtimeLogger({ namespace: 'realtime:events' });
   }
 
   /**
@@ -25,56 +86,51 @@ export class RealtimeEventHandler {
    * @returns {true}
    */
   clearEventHandlers() {
-    console.log("clearEventHandlers: ");
+    this.logger.debug(`Clearing event handlers`);
     this.eventHandlers = {};
     this.nextEventHandlers = {};
     return true;
   }
 
   /**
-   * Listen to specific events
-   * @param {string} eventName The name of the event to listen to
+   * Listen to specific events, or to every event matching a pattern
+   * @param {string} eventName The name or pattern of the event to listen to
    * @param {EventHandlerCallbackType} callback Code to execute on event
-   * @returns {EventHandlerCallbackType}
+   * @param {EventHandlerOptionsType} [options]
+   * @returns {EventHandlerUnsubscribeType}
    */
-  on(eventName, callback) {
-    this.eventHandlers[eventName] = this.eventHandlers[eventName] || [];
-    this.eventHandlers[eventName].push(callback);
-    return callback;
+  on(eventName, callback, options = {}) {
+    return this.addHandler('eventHandlers', eventName, callback, options);
   }
 
   /**
-   * Listen for the next event of a specified type
-   * @param {string} eventName The name of the event to listen to
+   * Listen for the next event of a specified type, or matching a pattern
+   * @param {string} eventName The name or pattern of the event to listen to
    * @param {EventHandlerCallbackType} callback Code to execute on event
-   * @returns {EventHandlerCallbackType}
+   * @param {EventHandlerOptionsType} [options]
+   * @returns {EventHandlerUnsubscribeType}
    */
-  onNext(eventName, callback) {
-    this.nextEventHandlers[eventName] = this.nextEventHandlers[eventName] || [];
-    this.nextEventHandlers[eventName].push(callback);
-    return callback;
+  onNext(eventName, callback, options = {}) {
+    return this.addHandler('nextEventHandlers', eventName, callback, options);
   }
 
   /**
    * Turns off event listening for specific events
    * Calling without a callback will remove all listeners for the event
    * @param {string} eventName
-   * @param {EventHandlerCallbackType} [callback]
+   * @param {EventHandlerCallbackType|EventHandlerUnsubscribeType} [callback] Callback, or the function returned by .on()
    * @returns {true}
    */
   off(eventName, callback) {
-    const handlers = this.eventHandlers[eventName] || [];
     if (callback) {
-      console.log('Off (callback) : ', eventName);
-      const index = handlers.indexOf(callback);
-      if (index === -1) {
+      this.logger.debug(`Removing "${eventName}" listener`);
+      if (!this.removeHandler('eventHandlers', eventName, callback)) {
         throw new Error(
           `Could not turn off specified event listener for "${eventName}": not found as a listener`,
         );
       }
-      handlers.splice(index, 1);
     } else {
-      console.log('Off (else) delete this event : ', eventName);
+      this.logger.debug(`Removing all "${eventName}" listeners`);
       delete this.eventHandlers[eventName];
     }
     return true;
@@ -84,66 +140,358 @@ export class RealtimeEventHandler {
    * Turns off event listening for the next event of a specific type
    * Calling without a callback will remove all listeners for the next event
    * @param {string} eventName
-   * @param {EventHandlerCallbackType} [callback]
+   * @param {EventHandlerCallbackType|EventHandlerUnsubscribeType} [callback] Callback, or the function returned by .onNext()
    * @returns {true}
    */
   offNext(eventName, callback) {
-    const nextHandlers = this.nextEventHandlers[eventName] || [];
     if (callback) {
-      console.log('Offnext (callback) : ', eventName);
-      const index = nextHandlers.indexOf(callback);
-      if (index === -1) {
+      this.logger.debug(`Removing "${eventName}" next listener`);
+      if (!this.removeHandler('nextEventHandlers', eventName, callback)) {
         throw new Error(
           `Could not turn off specified next event listener for "${eventName}": not found as a listener`,
         );
       }
-      nextHandlers.splice(index, 1);
     } else {
-      console.log('Offnext (else) delete this event : ', eventName);
+      this.logger.debug(`Removing all "${eventName}" next listeners`);
       delete this.nextEventHandlers[eventName];
     }
     return true;
   }
 
   /**
-   * Waits for next event of a specific type and returns the payload
+   * Turns off all listeners, including next listeners, added with a group
+   * @param {string} group
+   * @returns {number} Number of listeners removed
+   */
+  offGroup(group) {
+    this.logger.debug(`Removing "${group}" listener group`);
+    let count = 0;
+    for (const key of ['eventHandlers', 'nextEventHandlers']) {
+      for (const eventName in this[key]) {
+        for (const entry of [].concat(this[key][eventName])) {
+          if (entry.group === group) {
+            this.removeHandler(key, eventName, entry.callback);
+            count++;
+          }
+        }
+      }
+    }
+    return count;
+  }
+
+  /**
+   * @private
+   * @param {"eventHandlers"|"nextEventHandlers"} key
    * @param {string} eventName
-   * @param {number|null} [timeout]
+   * @param {EventHandlerCallbackType} callback
+   * @param {EventHandlerOptionsType} options
+   * @returns {EventHandlerUnsubscribeType}
+   */
+  addHandler(key, eventName, callback, { group, signal } = {}) {
+    if (signal?.aborted) {
+      return () => false;
+    }
+    /** @type {EventHandlerEntryType} */
+    const entry = {
+      callback,
+      unsubscribe: () => {
+        signal && signal.removeEventListener('abort', entry.unsubscribe);
+        return this.removeEntry(key, eventName, entry);
+      },
+      group: group || null,
+      sequence: this.handlerSequence++,
+    };
+    signal && signal.addEventListener('abort', entry.unsubscribe);
+    this[key][eventName] = this[key][eventName] || [];
+    this[key][eventName].push(entry);
+    return entry.unsubscribe;
+  }
+
+  /**
+   * Removes the first listener registered with a callback or unsubscribe function
+   * @private
+   * @param {"eventHandlers"|"nextEventHandlers"} key
+   * @param {string} eventName
+   * @param {EventHandlerCallbackType|EventHandlerUnsubscribeType} callback
+   * @returns {boolean}
+   */
+  removeHandler(key, eventName, callback) {
+    const entry = (this[key][eventName] || []).find(
+      (entry) => entry.callback === callback || entry.unsubscribe === callback,
+    );
+    return entry ? entry.unsubscribe() : false;
+  }
+
+  /**
+   * @private
+   * @param {"eventHandlers"|"nextEventHandlers"} key
+   * @param {string} eventName
+   * @param {EventHandlerEntryType} entry
+   * @returns {boolean}
+   */
+  removeEntry(key, eventName, entry) {
+    const entries = this[key][eventName] || [];
+    const index = entries.indexOf(entry);
+    if (index === -1) {
+      return false;
+    }
+    entries.splice(index, 1);
+    if (!entries.length) {
+      delete this[key][eventName];
+    }
+    return true;
+  }
+
+  /**
+   * Finds listeners for an event name, including patterns, in registration order
+   * @private
+   * @param {"eventHandlers"|"nextEventHandlers"} key
+   * @param {string} eventName
+   * @returns {EventHandlerEntryType[]}
+   */
+  getMatchingEntries(key, eventName) {
+    const entries = [];
+    for (const pattern in this[key]) {
+      if (RealtimeEventHandler.matchesEventName(pattern, eventName)) {
+        entries.push(...this[key][pattern]);
+      }
+    }
+    return entries.sort((a, b) => a.sequence - b.sequence);
+  }
+
+  /**
+   * Waits for next event of a specific type and returns the payload
+   * With a number or null, resolves null after that timeout instead of rejecting
+   * With options, rejects with a RealtimeTimeoutError on timeout or the abort reason on abort
+   * Pending waits are rejected when the connection closes
+   * @param {string} eventName The name or pattern of the event to wait for
+   * @param {number|null|WaitForNextOptionsType} [options]
    * @returns {Promise<{[key: string]: any}|null>}
    */
-  async waitForNext(eventName, timeout = null) {
-    const t0 = Date.now();
-    let nextEvent;
-    this.onNext(eventName, (event) => (nextEvent = event));
-    while (!nextEvent) {
-      if (timeout) {
-        const t1 = Date.now();
-        if (t1 - t0 > timeout) {
-          return null;
+  async waitForNext(eventName, options = null) {
+    const resolveNullOnTimeout =
+      options === null || typeof options === 'number';
+    const {
+      predicate = null,
+      timeout = null,
+      signal = null,
+    } = resolveNullOnTimeout ? { timeout: options } : options;
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const cleanup = () => {
+        clearTimeout(timer);
+        unsubscribe();
+        signal && signal.removeEventListener('abort', onAbort);
+        this.pendingWaits.delete(fail);
+      };
+      const fail = (error) => {
+        cleanup();
+        reject(error);
+      };
+      const onAbort = () => fail(signal.reason);
+      const unsubscribe = this.on(eventName, (event) => {
+        try {
+          if (predicate && !predicate(event)) {
+            return;
+          }
+        } catch (e) {
+          return fail(e);
         }
+        cleanup();
+        resolve(event);
+      });
+      signal && signal.addEventListener('abort', onAbort);
+      if (timeout) {
+        timer = setTimeout(() => {
+          if (resolveNullOnTimeout) {
+            cleanup();
+            resolve(null);
+          } else {
+            fail(
+              new RealtimeTimeoutError(
+                `Timed out waiting for "${eventName}" after ${timeout}ms`,
+              ),
+            );
+          }
+        }, timeout);
       }
-      await sleep(1000);
+      this.pendingWaits.add(fail);
+    });
+  }
+
+  /**
+   * Iterates over every dispatched event matching a name or pattern, starting now
+   * Events are buffered until they are read, ends when the signal aborts
+   * and throws when the connection closes, like .waitForNext()
+   * Breaking out of a `for await` loop removes the listener
+   * @param {string} eventName
+   * @param {{signal?: AbortSignal}} [options]
+   * @returns {AsyncIterableIterator<{[key: string]: any}>}
+   */
+  events(eventName, { signal = null } = {}) {
+    const queue = [];
+    let waiters = [];
+    let finished = !!signal?.aborted;
+    let failure = null;
+    const wake = () => {
+      waiters.forEach((resolve) => resolve());
+      waiters = [];
+    };
+    const cleanup = () => {
+      unsubscribe();
+      signal && signal.removeEventListener('abort', onAbort);
+      this.pendingWaits.delete(fail);
+      wake();
+    };
+    const fail = (error) => {
+      failure = error;
+      cleanup();
+    };
+    const onAbort = () => {
+      finished = true;
+      cleanup();
+    };
+    const unsubscribe = finished
+      ? () => false
+      : this.on(eventName, (event) => {
+          queue.push(event);
+          wake();
+        });
+    if (!finished) {
+      signal && signal.addEventListener('abort', onAbort);
+      this.pendingWaits.add(fail);
     }
-    return nextEvent;
+    const iterator = {
+      next: async () => {
+        while (true) {
+          if (queue.length) {
+            return { value: queue.shift(), done: false };
+          } else if (failure) {
+            const error = failure;
+            failure = null;
+            finished = true;
+            throw error;
+          } else if (finished) {
+            return { value: void 0, done: true };
+          }
+          await new Promise((resolve) => waiters.push(resolve));
+        }
+      },
+      return: async () => {
+        finished = true;
+        queue.length = 0;
+        cleanup();
+        return { value: void 0, done: true };
+      },
+      [Symbol.asyncIterator]: () => iterator,
+    };
+    return iterator;
   }
 
+  /**
+   * Rejects every pending .waitForNext() call
+   * @param {Error} error
+   * @returns {true}
+   */
+  rejectPendingWaits(error) {
+    for (const fail of [...this.pendingWaits]) {
+      fail(error);
+    }
+    return true;
+  }
 
   /**
    * Executes all events in the order they were added, with .on() event handlers executing before .onNext() handlers
+   * Listeners added with a matching pattern are included
+   * Exceptions, including rejections of async listeners, do not stop other listeners:
+   * they are dispatched as "error" events carrying a RealtimeListenerError
    * @param {string} eventName
    * @param {any} event
    * @returns {true}
    */
   dispatch(eventName, event) {
-    const handlers = [].concat(this.eventHandlers[eventName] || []);
-    for (const handler of handlers) {
-      handler(event);
+    const entries = this.getMatchingEntries('eventHandlers', eventName);
+    for (const entry of entries) {
+      this.callHandler(eventName, entry.callback, event);
+    }
+    const nextEntries = this.getMatchingEntries('nextEventHandlers', eventName);
+    for (const entry of nextEntries) {
+      entry.unsubscribe();
+    }
+    for (const entry of nextEntries) {
+      this.callHandler(eventName, entry.callback, event);
+    }
+    if (
+      eventName === 'error' &&
+      event instanceof RealtimeListenerError &&
+      !entries.length &&
+      !nextEntries.length
+    ) {
+      this.logger.error(event.message, event.cause);
+    }
+    return true;
+  }
+
+  /**
+   * Same as .dispatch(), but waits for each listener to finish before calling the next one,
+   * so async listeners can do I/O in order
+   * @param {string} eventName
+   * @param {any} event
+   * @returns {Promise<true>}
+   */
+  async dispatchAsync(eventName, event) {
+    const entries = this.getMatchingEntries('eventHandlers', eventName);
+    const nextEntries = this.getMatchingEntries('nextEventHandlers', eventName);
+    for (const entry of nextEntries) {
+      entry.unsubscribe();
+    }
+    for (const entry of entries.concat(nextEntries)) {
+      try {
+        await entry.callback(event);
+      } catch (e) {
+        this.handleListenerError(eventName, e);
+      }
     }
-    const nextHandlers = [].concat(this.nextEventHandlers[eventName] || []);
-    for (const nextHandler of nextHandlers) {
-      nextHandler(event);
+    return true;
+  }
+
+  /**
+   * @private
+   * @param {string} eventName
+   * @param {EventHandlerCallbackType} callback
+   * @param {any} event
+   * @returns {true}
+   */
+  callHandler(eventName, callback, event) {
+    try {
+      const result = callback(event);
+      if (result && typeof result.then === 'function') {
+        result.then(null, (e) => this.handleListenerError(eventName, e));
+      }
+    } catch (e) {
+      this.handleListenerError(eventName, e);
+    }
+    return true;
+  }
+
+  /**
+   * Reports a listener exception as an "error" event, or logs it
+   * if it was thrown by an "error" listener
+   * @private
+   * @param {string} eventName
+   * @param {any} error
+   * @returns {true}
+   */
+  handleListenerError(eventName, error) {
+    const listenerError = new RealtimeListenerError(eventName, error);
+    if (eventName === 'error') {
+      this.logger.error(listenerError.message, error);
+    } else {
+      this.dispatch('error', listenerError);
     }
-    delete this.nextEventHandlers[eventName];
     return true;
   }
 }
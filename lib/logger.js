@@ -0,0 +1,210 @@
+/**
+ * @typedef {"debug"|"info"|"warn"|"error"|"silent"} LogLevelType
+ */
+
+/**
+ * Any console-like object logs can be written to, e.g. `console` or a pino instance
+ * @typedef {Object} LogOutputType
+ * @property {(...args: any[]) => any} debug
+ * @property {(...args: any[]) => any} info
+ * @property {(...args: any[]) => any} warn
+ * @property {(...args: any[]) => any} error
+ */
+
+/**
+ * @typedef {Object} LoggerSettingsType
+ * @property {LogLevelType} [level] Minimum level to write, defaults to "warn"
+ * @property {string} [namespace]
+ * @property {boolean} [json] Writes one JSON object per line instead of text
+ * @property {LogOutputType} [output] Defaults to `console`
+ * @property {number} [maxPayloadLength] Base64 `audio` and `delta` fields are truncated past this length
+ */
+
+const levels = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const redactedKeys = ['apikey', 'api_key', 'api-key', 'authorization'];
+const payloadKeys = ['audio', 'delta'];
+const apiKeyPattern = /sk-[A-Za-z0-9_-]{8,}/g;
+const base64Pattern = /^[A-Za-z0-9+/]+={0,2}$/;
+
+/**
+ * Leveled, namespaced logger that redacts API keys and truncates audio payloads
+ * @class
+ */
+export class RealtimeLogger {
+  /**
+   * Creates a logger from the `logger` setting of RealtimeClient or RealtimeAPI:
+   * a RealtimeLogger is used as-is, a console-like object receives redacted logs,
+   * anything else is treated as LoggerSettingsType
+   * @param {RealtimeLogger|LogOutputType|LoggerSettingsType} [logger]
+   * @param {{debug?: boolean}} [options] `debug` lowers the default level to "debug"
+   * @returns {RealtimeLogger}
+   */
+  static from(logger, { debug = false } = {}) {
+    const defaultLevel = debug ? 'debug' : 'warn';
+    if (logger instanceof RealtimeLogger) {
+      return logger;
+    } else if (logger && typeof logger.warn === 'function') {
+      return new RealtimeLogger({ output: logger, level: defaultLevel });
+    }
+    return new RealtimeLogger({ level: defaultLevel, ...(logger || {}) });
+  }
+
+  /**
+   * Deep copies a value, redacting API keys and truncating base64 audio payloads
+   * @param {any} value
+   * @param {number} [maxPayloadLength]
+   * @param {string} [key] Name of the property holding the value
+   * @returns {any}
+   */
+  static redact(value, maxPayloadLength = 32, key = '') {
+    if (typeof value === 'string') {
+      if (redactedKeys.includes(key.toLowerCase())) {
+        return '[REDACTED]';
+      } else if (
+        payloadKeys.includes(key) &&
+        value.length > maxPayloadLength &&
+        base64Pattern.test(value)
+      ) {
+        return `${value.slice(0, maxPayloadLength)}... (${value.length} chars)`;
+      }
+      return value.replace(apiKeyPattern, 'sk-[REDACTED]');
+    } else if (value instanceof Error) {
+      return { name: value.name, message: this.redact(value.message) };
+    } else if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+      return `[${value.constructor.name} (${value.byteLength} bytes)]`;
+    } else if (Array.isArray(value)) {
+      return value.map((v) => this.redact(v, maxPayloadLength));
+    } else if (value && typeof value === 'object') {
+      const copy = {};
+      for (const k in value) {
+        copy[k] = this.redact(value[k], maxPayloadLength, k);
+      }
+      return copy;
+    }
+    return value;
+  }
+
+  /**
+   * Create a new RealtimeLogger instance
+   * @param {LoggerSettingsType} [settings]
+   * @returns {RealtimeLogger}
+   */
+  constructor({
+    level = 'warn',
+    namespace = 'realtime',
+    json = false,
+    output = console,
+    maxPayloadLength = 32,
+  } = {}) {
+    if (!levels[level]) {
+      throw new Error(
+        `Invalid log level "${level}", must be one of ${Object.keys(levels).join(', ')}`,
+      );
+    }
+    this.level = level;
+    this.namespace = namespace;
+    this.json = !!json;
+    this.output = output;
+    this.maxPayloadLength = maxPayloadLength;
+  }
+
+  /**
+   * Creates a logger sharing these settings with a nested namespace, e.g. "realtime:api"
+   * @param {string} namespace
+   * @returns {RealtimeLogger}
+   */
+  child(namespace) {
+    return new RealtimeLogger({
+      level: this.level,
+      namespace: `${this.namespace}:${namespace}`,
+      json: this.json,
+      output: this.output,
+      maxPayloadLength: this.maxPayloadLength,
+    });
+  }
+
+  /**
+   * Tells us whether logs of a level will be written
+   * @param {LogLevelType} level
+   * @returns {boolean}
+   */
+  isEnabled(level) {
+    return levels[level] >= levels[this.level];
+  }
+
+  /**
+   * Writes a log at a specific level
+   * @param {LogLevelType} level
+   * @param  {...any} args
+   * @returns {boolean} Whether the log was written
+   */
+  log(level, ...args) {
+    if (level === 'silent' || !this.isEnabled(level)) {
+      return false;
+    }
+    const time = new Date().toISOString();
+    const redacted = args.map((arg) =>
+      RealtimeLogger.redact(arg, this.maxPayloadLength),
+    );
+    const write = (this.output[level] || this.output.log).bind(this.output);
+    if (this.json) {
+      const message = redacted
+        .filter((arg) => typeof arg !== 'object' || arg === null)
+        .join(' ');
+      const data = redacted.filter((arg) => typeof arg === 'object' && arg);
+      write(
+        JSON.stringify({
+          time,
+          level,
+          namespace: this.namespace,
+          message,
+          ...(data.length ? { data: data.length === 1 ? data[0] : data } : {}),
+        }),
+      );
+    } else {
+      const logs = [`[${this.namespace}/${time}]`]
+        .concat(redacted)
+        .map((arg) => {
+          if (typeof arg === 'object' && arg !== null) {
+            return JSON.stringify(arg, null, 2);
+          } else {
+            return arg;
+          }
+        });
+      write(...logs);
+    }
+    return true;
+  }
+
+  /**
+   * @param  {...any} args
+   * @returns {boolean}
+   */
+  debug(...args) {
+    return this.log('debug', ...args);
+  }
+
+  /**
+   * @param  {...any} args
+   * @returns {boolean}
+   */
+  info(...args) {
+    return this.log('info', ...args);
+  }
+
+  /**
+   * @param  {...any} args
+   * @returns {boolean}
+   */
+  warn(...args) {
+    return this.log('warn', ...args);
+  }
+
+  /**
+   * @param  {...any} args
+   * @returns {boolean}
+   */
+  error(...args) {
+    return this.log('error', ...args);
+  }
+}
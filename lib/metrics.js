@@ -0,0 +1,193 @@
+/**
+ * Latency and token usage of a single response, times are in milliseconds
+ * @typedef {Object} ResponseMetricsType
+ * @property {string} responseId
+ * @property {string} status Status from `response.done`, e.g. "completed" or "cancelled"
+ * @property {"input_audio_buffer.speech_stopped"|"response.create"|null} trigger Event the latency is measured from
+ * @property {number|null} timeToFirstDelta Time from the trigger to the first audio or text delta
+ * @property {number} duration Time from the trigger to `response.done`
+ * @property {UsageMetricsType} usage
+ */
+
+/**
+ * @typedef {Object} UsageMetricsType
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {number} totalTokens
+ */
+
+/**
+ * @typedef {Object} TimingSummaryType
+ * @property {number} count
+ * @property {number|null} average
+ * @property {number|null} min
+ * @property {number|null} max
+ */
+
+/**
+ * @typedef {Object} SessionMetricsType
+ * @property {number} responseCount
+ * @property {TimingSummaryType} timeToFirstDelta
+ * @property {TimingSummaryType} duration
+ * @property {UsageMetricsType} usage
+ */
+
+/**
+ * @typedef {Object} MetricsSnapshotType
+ * @property {SessionMetricsType} session
+ * @property {ResponseMetricsType[]} responses Most recent responses, oldest first
+ */
+
+/**
+ * Collects per-response latency and token usage from realtime events
+ * @class
+ */
+export class RealtimeMetrics {
+  /**
+   * Events that start a turn, latency is measured from the first one
+   * after the previous response was created
+   */
+  static triggerEvents = [
+    'input_audio_buffer.speech_stopped',
+    'response.create',
+  ];
+
+  /**
+   * Events that count as the first output of a response
+   */
+  static deltaEvents = ['response.audio.delta', 'response.text.delta'];
+
+  /**
+   * Create a new RealtimeMetrics instance
+   * @param {{maxResponses?: number}} [settings] Number of responses kept in snapshots
+   * @returns {RealtimeMetrics}
+   */
+  constructor({ maxResponses = 100 } = {}) {
+    this.maxResponses = maxResponses;
+    this.reset();
+  }
+
+  /**
+   * Clears all collected metrics
+   * @returns {true}
+   */
+  reset() {
+    this.trigger = null;
+    this.activeResponses = {};
+    this.responses = [];
+    this.session = {
+      responseCount: 0,
+      timeToFirstDelta: this.createSummary(),
+      duration: this.createSummary(),
+      usage: { inputTokens: 0, outputTokens: 0, totalTokens: 0 },
+    };
+    return true;
+  }
+
+  /**
+   * Updates metrics from a client or server event
+   * @param {{[key: string]: any}} event
+   * @param {number} [time] Time the event was sent or received, defaults to now
+   * @returns {ResponseMetricsType|null} Metrics of the response, once it is done
+   */
+  processEvent(event, time = Date.now()) {
+    if (RealtimeMetrics.triggerEvents.includes(event.type)) {
+      if (!this.trigger) {
+        this.trigger = { type: event.type, time };
+      }
+    } else if (event.type === 'response.created') {
+      this.activeResponses[event.response.id] = {
+        trigger: this.trigger,
+        startedAt: this.trigger ? this.trigger.time : time,
+        firstDeltaAt: null,
+      };
+      this.trigger = null;
+    } else if (RealtimeMetrics.deltaEvents.includes(event.type)) {
+      const active = this.activeResponses[event.response_id];
+      if (active && active.firstDeltaAt === null) {
+        active.firstDeltaAt = time;
+      }
+    } else if (event.type === 'response.done') {
+      const active = this.activeResponses[event.response.id];
+      if (!active) {
+        return null;
+      }
+      delete this.activeResponses[event.response.id];
+      const usage = event.response.usage || {};
+      /** @type {ResponseMetricsType} */
+      const response = {
+        responseId: event.response.id,
+        status: event.response.status,
+        trigger: active.trigger ? active.trigger.type : null,
+        timeToFirstDelta:
+          active.firstDeltaAt === null
+            ? null
+            : active.firstDeltaAt - active.startedAt,
+        duration: time - active.startedAt,
+        usage: {
+          inputTokens: usage.input_tokens || 0,
+          outputTokens: usage.output_tokens || 0,
+          totalTokens: usage.total_tokens || 0,
+        },
+      };
+      this.addResponse(response);
+      return response;
+    }
+    return null;
+  }
+
+  /**
+   * Adds a finished response to the session totals
+   * @private
+   * @param {ResponseMetricsType} response
+   * @returns {true}
+   */
+  addResponse(response) {
+    this.responses.push(response);
+    if (this.responses.length > this.maxResponses) {
+      this.responses.shift();
+    }
+    this.session.responseCount++;
+    if (response.timeToFirstDelta !== null) {
+      this.addTiming(this.session.timeToFirstDelta, response.timeToFirstDelta);
+    }
+    this.addTiming(this.session.duration, response.duration);
+    for (const key in response.usage) {
+      this.session.usage[key] += response.usage[key];
+    }
+    return true;
+  }
+
+  /**
+   * @private
+   * @returns {TimingSummaryType}
+   */
+  createSummary() {
+    return { count: 0, average: null, min: null, max: null };
+  }
+
+  /**
+   * @private
+   * @param {TimingSummaryType} summary
+   * @param {number} value
+   * @returns {TimingSummaryType}
+   */
+  addTiming(summary, value) {
+    summary.average =
+      ((summary.average || 0) * summary.count + value) / (summary.count + 1);
+    summary.count++;
+    summary.min = summary.min === null ? value : Math.min(summary.min, value);
+    summary.max = summary.max === null ? value : Math.max(summary.max, value);
+    return summary;
+  }
+
+  /**
+   * Returns a copy of the collected metrics
+   * @returns {MetricsSnapshotType}
+   */
+  getMetrics() {
+    return JSON.parse(
+      JSON.stringify({ session: this.session, responses: this.responses }),
+    );
+  }
+}
@@ -0,0 +1,676 @@
+import { RealtimeUtils } from './utils.js';
+
+/**
+ * A function call output by a scripted response
+ * @typedef {Object} ScriptedFunctionCallType
+ * @property {string} name
+ * @property {string|{[key: string]: any}} arguments
+ * @property {string} [call_id]
+ */
+
+/**
+ * A single output item of a scripted response
+ * Audio is streamed with `transcript` when provided, otherwise `text` is streamed as text
+ * @typedef {Object} ScriptedOutputType
+ * @property {string} [text]
+ * @property {Int16Array} [audio]
+ * @property {string} [transcript]
+ * @property {ScriptedFunctionCallType} [functionCall]
+ */
+
+/**
+ * What the mock server answers to "response.create"
+ * @typedef {ScriptedOutputType|ScriptedOutputType[]} ScriptedResponseType
+ */
+
+/**
+ * Generates a scripted response from the conversation so far
+ * @typedef {(context: {event: {[key: string]: any}, items: {[key: string]: any}[], session: {[key: string]: any}}) => ScriptedResponseType|Promise<ScriptedResponseType>} MockResponderType
+ */
+
+const sleep = (t) => new Promise((r) => setTimeout(() => r(), t));
+
+/**
+ * Local server speaking the realtime-v1 event protocol, for offline development and tests
+ * Node.js only, requires the `ws` package
+ * @class
+ */
+export class RealtimeMockServer {
+  /**
+   * Create a new RealtimeMockServer instance
+   * @param {{port?: number, delay?: number, chunkSize?: number, responder?: MockResponderType, transcriber?: (audio: Int16Array) => string}} [settings]
+   * A `transcriber` that throws sends "conversation.item.input_audio_transcription.failed"
+   * @returns {RealtimeMockServer}
+   */
+  constructor({ port, delay, chunkSize, responder, transcriber } = {}) {
+    this.port = port || 0;
+    this.delay = delay || 0;
+    this.chunkSize = chunkSize || 8;
+    this.defaultFrequency = 24_000; // 24,000 Hz
+    this.defaultSession = {
+      object: 'realtime.session',
+      model: 'gpt-4o-realtime-preview-2024-10-01',
+      modalities: ['text', 'audio'],
+      instructions: '',
+      voice: 'alloy',
+      input_audio_format: 'pcm16',
+      output_audio_format: 'pcm16',
+      input_audio_transcription: null,
+      turn_detection: null,
+      tools: [],
+      tool_choice: 'auto',
+      temperature: 0.8,
+      max_response_output_tokens: 'inf',
+    };
+    this.responder =
+      responder ||
+      (({ items }) => {
+        const lastUserItem = items.filter((item) => item.role === 'user').pop();
+        const text = (lastUserItem?.content || [])
+          .map((c) => c.text || c.transcript || '')
+          .join('');
+        return { text: `You said: ${text}` };
+      });
+    this.transcriber = transcriber || (() => '');
+    this.queuedResponses = [];
+    this.receivedEvents = [];
+    this.wss = null;
+    this.url = null;
+  }
+
+  /**
+   * Starts listening for WebSocket connections
+   * @returns {Promise<string>} The URL clients can connect to
+   */
+  async listen() {
+    if (this.wss) {
+      throw new Error(`Already listening on "${this.url}"`);
+    }
+    const moduleName = 'ws';
+    const wsModule = await import(/* webpackIgnore: true */ moduleName);
+    const WebSocketServer = wsModule.WebSocketServer || wsModule.default.Server;
+    const wss = new WebSocketServer({ port: this.port });
+    await new Promise((resolve, reject) => {
+      wss.once('listening', resolve);
+      wss.once('error', reject);
+    });
+    wss.on('connection', (ws) => new MockSession(this, ws));
+    this.wss = wss;
+    this.url = `ws://localhost:${wss.address().port}/v1/realtime`;
+    return this.url;
+  }
+
+  /**
+   * Stops the server and closes all connections
+   * @returns {Promise<true>}
+   */
+  async close() {
+    if (this.wss) {
+      const wss = this.wss;
+      this.wss = null;
+      this.url = null;
+      for (const ws of wss.clients) {
+        ws.terminate();
+      }
+      await new Promise((r) => wss.close(() => r()));
+    }
+    return true;
+  }
+
+  /**
+   * Abruptly terminates all connections, e.g. to simulate network failures
+   * @returns {true}
+   */
+  dropConnections() {
+    if (this.wss) {
+      for (const ws of this.wss.clients) {
+        ws.terminate();
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Queues a response to stream on the next "response.create"
+   * Queued responses are used in order before falling back to the responder
+   * @param {ScriptedResponseType} response
+   * @returns {true}
+   */
+  queueResponse(response) {
+    this.queuedResponses.push(response);
+    return true;
+  }
+}
+
+/**
+ * State of a single client connection
+ * @private
+ */
+class MockSession {
+  /**
+   * @param {RealtimeMockServer} server
+   * @param {import('ws').WebSocket} ws
+   */
+  constructor(server, ws) {
+    this.server = server;
+    this.ws = ws;
+    this.session = {
+      id: RealtimeUtils.generateId('sess_'),
+      ...JSON.parse(JSON.stringify(server.defaultSession)),
+    };
+    this.items = [];
+    this.inputAudio = [];
+    this.inputAudioLength = 0;
+    this.speech = null;
+    this.activeResponse = null;
+    this.queue = Promise.resolve();
+    ws.on('message', (data) => {
+      let event;
+      try {
+        event = JSON.parse(data.toString());
+      } catch (e) {
+        return this.sendError(`Invalid JSON: ${e.message}`);
+      }
+      server.receivedEvents.push(event);
+      // Process events in order, responses stream in the background
+      // A failing event is reported to the client and does not stop the queue
+      this.queue = this.queue
+        .then(() => this.handle(event))
+        .catch((e) =>
+          this.send('error', {
+            error: {
+              type: 'server_error',
+              code: null,
+              message: e.message,
+              param: null,
+              event_id: event.event_id || null,
+            },
+          }),
+        );
+    });
+    ws.on('close', () => {
+      this.activeResponse && (this.activeResponse.cancelled = true);
+    });
+    this.send('session.created', { session: this.session });
+  }
+
+  /**
+   * @param {string} type
+   * @param {{[key: string]: any}} [data]
+   */
+  send(type, data = {}) {
+    if (this.ws.readyState === 1) {
+      this.ws.send(
+        JSON.stringify({
+          event_id: RealtimeUtils.generateId('event_'),
+          type,
+          ...data,
+        }),
+      );
+    }
+  }
+
+  /**
+   * @param {string} message
+   * @param {{[key: string]: any}} [event] Originating client event
+   * @param {string} [param]
+   */
+  sendError(message, event, param) {
+    this.send('error', {
+      error: {
+        type: 'invalid_request_error',
+        code: param ? 'invalid_value' : 'unknown_event',
+        message,
+        param: param || null,
+        event_id: event?.event_id || null,
+      },
+    });
+  }
+
+  /**
+   * Adds an item after `previous_item_id`, or at the end, and notifies the client
+   * @param {{[key: string]: any}} item
+   * @param {string|null} [previousItemId]
+   */
+  createItem(item, previousItemId) {
+    item.id = item.id || RealtimeUtils.generateId('item_');
+    item.object = 'realtime.item';
+    let index = this.items.length;
+    if (previousItemId !== void 0) {
+      index =
+        previousItemId === null
+          ? 0
+          : this.items.findIndex((i) => i.id === previousItemId) + 1;
+    }
+    const previous_item_id = index > 0 ? this.items[index - 1].id : null;
+    this.items.splice(index, 0, item);
+    this.send('conversation.item.created', { previous_item_id, item });
+    return item;
+  }
+
+  /**
+   * @param {{[key: string]: any}} event
+   */
+  async handle(event) {
+    switch (event.type) {
+      case 'session.update': {
+        Object.assign(this.session, event.session || {});
+        this.send('session.updated', { session: this.session });
+        break;
+      }
+      case 'conversation.item.create': {
+        const { item } = event;
+        if (!item || !item.type) {
+          return this.sendError(`Missing "item.type"`, event, 'item.type');
+        }
+        if (
+          event.previous_item_id &&
+          !this.items.find((i) => i.id === event.previous_item_id)
+        ) {
+          return this.sendError(
+            `Item "${event.previous_item_id}" not found`,
+            event,
+            'previous_item_id',
+          );
+        }
+        const newItem = { ...JSON.parse(JSON.stringify(item)) };
+        newItem.status = 'completed';
+        this.createItem(newItem, event.previous_item_id);
+        break;
+      }
+      case 'conversation.item.delete': {
+        const index = this.items.findIndex((i) => i.id === event.item_id);
+        if (index === -1) {
+          return this.sendError(
+            `Item "${event.item_id}" not found`,
+            event,
+            'item_id',
+          );
+        }
+        this.items.splice(index, 1);
+        this.send('conversation.item.deleted', { item_id: event.item_id });
+        break;
+      }
+      case 'conversation.item.truncate': {
+        const { item_id, content_index, audio_end_ms } = event;
+        if (!this.items.find((i) => i.id === item_id)) {
+          return this.sendError(
+            `Item "${item_id}" not found`,
+            event,
+            'item_id',
+          );
+        }
+        this.send('conversation.item.truncated', {
+          item_id,
+          content_index,
+          audio_end_ms,
+        });
+        break;
+      }
+      case 'input_audio_buffer.append': {
+        const audio = new Int16Array(
+          RealtimeUtils.base64ToArrayBuffer(event.audio || ''),
+        );
+        this.appendInputAudio(audio);
+        break;
+      }
+      case 'input_audio_buffer.commit': {
+        if (!this.inputAudioLength) {
+          return this.sendError(`Input audio buffer is empty`, event);
+        }
+        this.commitInputAudio(RealtimeUtils.generateId('item_'));
+        break;
+      }
+      case 'input_audio_buffer.clear': {
+        this.inputAudio = [];
+        this.inputAudioLength = 0;
+        this.speech = null;
+        this.send('input_audio_buffer.cleared');
+        break;
+      }
+      case 'response.create': {
+        this.startResponse(event);
+        break;
+      }
+      case 'response.cancel': {
+        if (this.activeResponse) {
+          this.activeResponse.cancelled = true;
+        }
+        break;
+      }
+      default: {
+        this.sendError(`Unknown event type "${event.type}"`, event);
+      }
+    }
+  }
+
+  /**
+   * Buffers input audio and emulates server VAD: a chunk counts as speech
+   * when its peak amplitude exceeds `turn_detection.threshold`
+   * @param {Int16Array} audio
+   */
+  appendInputAudio(audio) {
+    const startMs = this.samplesToMs(this.inputAudioLength);
+    this.inputAudio.push(audio);
+    this.inputAudioLength += audio.length;
+    const endMs = this.samplesToMs(this.inputAudioLength);
+    const vad = this.session.turn_detection;
+    if (vad?.type !== 'server_vad' || !audio.length) {
+      return;
+    }
+    const peak = audio.reduce((max, v) => Math.max(max, Math.abs(v)), 0);
+    const isSpeech = peak / 0x8000 > (vad.threshold ?? 0.5);
+    if (isSpeech) {
+      if (!this.speech) {
+        this.speech = {
+          item_id: RealtimeUtils.generateId('item_'),
+          audio_start_ms: startMs,
+        };
+        this.send('input_audio_buffer.speech_started', {
+          audio_start_ms: startMs,
+          item_id: this.speech.item_id,
+        });
+        if (this.activeResponse) {
+          this.activeResponse.cancelled = true;
+        }
+      }
+      this.speech.lastSpeechMs = endMs;
+    } else if (
+      this.speech &&
+      endMs - this.speech.lastSpeechMs >= (vad.silence_duration_ms ?? 200)
+    ) {
+      const { item_id } = this.speech;
+      this.speech = null;
+      this.send('input_audio_buffer.speech_stopped', {
+        audio_end_ms: endMs,
+        item_id,
+      });
+      this.commitInputAudio(item_id);
+      this.startResponse();
+    }
+  }
+
+  /**
+   * Turns the input audio buffer into a user item
+   * @param {string} itemId
+   */
+  commitInputAudio(itemId) {
+    const audio = new Int16Array(this.inputAudioLength);
+    let offset = 0;
+    for (const chunk of this.inputAudio) {
+      audio.set(chunk, offset);
+      offset += chunk.length;
+    }
+    this.inputAudio = [];
+    this.inputAudioLength = 0;
+    const previous_item_id = this.items.length
+      ? this.items[this.items.length - 1].id
+      : null;
+    this.send('input_audio_buffer.committed', {
+      previous_item_id,
+      item_id: itemId,
+    });
+    const item = this.createItem({
+      id: itemId,
+      type: 'message',
+      status: 'completed',
+      role: 'user',
+      content: [{ type: 'input_audio', transcript: null }],
+    });
+    if (this.session.input_audio_transcription) {
+      let transcript;
+      try {
+        transcript = this.server.transcriber(audio);
+      } catch (e) {
+        this.send('conversation.item.input_audio_transcription.failed', {
+          item_id: itemId,
+          content_index: 0,
+          error: {
+            type: 'transcription_error',
+            code: 'audio_unintelligible',
+            message: e.message,
+            param: null,
+          },
+        });
+        return;
+      }
+      item.content[0].transcript = transcript;
+      // Only newer transcription models stream deltas
+      if (this.session.input_audio_transcription.model !== 'whisper-1') {
+        for (let i = 0; i < transcript.length; i += this.server.chunkSize) {
+          this.send('conversation.item.input_audio_transcription.delta', {
+            item_id: itemId,
+            content_index: 0,
+            delta: transcript.slice(i, i + this.server.chunkSize),
+          });
+        }
+      }
+      this.send('conversation.item.input_audio_transcription.completed', {
+        item_id: itemId,
+        content_index: 0,
+        transcript,
+      });
+    }
+  }
+
+  /**
+   * @param {number} samples
+   * @returns {number}
+   */
+  samplesToMs(samples) {
+    return Math.floor((samples * 1000) / this.server.defaultFrequency);
+  }
+
+  /**
+   * Starts streaming the next scripted response
+   * @param {{[key: string]: any}} [event]
+   */
+  startResponse(event = {}) {
+    if (this.activeResponse) {
+      return this.sendError(
+        `Conversation already has an active response`,
+        event,
+      );
+    }
+    const response = {
+      id: RealtimeUtils.generateId('resp_'),
+      object: 'realtime.response',
+      status: 'in_progress',
+      status_details: null,
+      output: [],
+      usage: null,
+    };
+    this.activeResponse = { response, cancelled: false };
+    this.streamResponse(event, this.activeResponse).finally(() => {
+      this.activeResponse = null;
+    });
+  }
+
+  /**
+   * @param {{[key: string]: any}} event
+   * @param {{response: {[key: string]: any}, cancelled: boolean}} active
+   */
+  async streamResponse(event, active) {
+    const { response } = active;
+    const server = this.server;
+    const step = async (type, data) => {
+      await sleep(server.delay);
+      if (active.cancelled) {
+        throw new Error('cancelled');
+      }
+      this.send(type, data);
+    };
+    this.send('response.created', { response });
+    try {
+      const script = server.queuedResponses.length
+        ? server.queuedResponses.shift()
+        : await server.responder({
+            event,
+            items: this.items.slice(),
+            session: this.session,
+          });
+      const outputs = [].concat(script || []);
+      for (
+        let output_index = 0;
+        output_index < outputs.length;
+        output_index++
+      ) {
+        const output = outputs[output_index];
+        const ids = { response_id: response.id, output_index };
+        if (output.functionCall) {
+          const { name, call_id } = output.functionCall;
+          const args =
+            typeof output.functionCall.arguments === 'string'
+              ? output.functionCall.arguments
+              : JSON.stringify(output.functionCall.arguments || {});
+          const item = {
+            id: RealtimeUtils.generateId('item_'),
+            object: 'realtime.item',
+            type: 'function_call',
+            status: 'in_progress',
+            name,
+            call_id: call_id || RealtimeUtils.generateId('call_'),
+            arguments: '',
+          };
+          response.output.push(item);
+          await step('response.output_item.added', { ...ids, item });
+          this.createItem(item);
+          for (const delta of this.chunk(args)) {
+            await step('response.function_call_arguments.delta', {
+              ...ids,
+              item_id: item.id,
+              call_id: item.call_id,
+              delta,
+            });
+            item.arguments += delta;
+          }
+          await step('response.function_call_arguments.done', {
+            ...ids,
+            item_id: item.id,
+            call_id: item.call_id,
+            arguments: item.arguments,
+          });
+          item.status = 'completed';
+          await step('response.output_item.done', { ...ids, item });
+          continue;
+        }
+        const isAudio = !!output.audio;
+        const item = {
+          id: RealtimeUtils.generateId('item_'),
+          object: 'realtime.item',
+          type: 'message',
+          status: 'in_progress',
+          role: 'assistant',
+          content: [],
+        };
+        response.output.push(item);
+        await step('response.output_item.added', { ...ids, item });
+        this.createItem(item);
+        const part = isAudio
+          ? { type: 'audio', transcript: '' }
+          : { type: 'text', text: '' };
+        const partIds = { ...ids, item_id: item.id, content_index: 0 };
+        item.content.push(part);
+        await step('response.content_part.added', {
+          ...partIds,
+          part: { ...part },
+        });
+        if (isAudio) {
+          const transcript = output.transcript ?? output.text ?? '';
+          const audioChunkSize = this.server.defaultFrequency / 10;
+          const chunks = [];
+          for (let i = 0; i < output.audio.length; i += audioChunkSize) {
+            chunks.push(output.audio.slice(i, i + audioChunkSize));
+          }
+          const transcriptChunks = this.chunk(transcript);
+          const count = Math.max(chunks.length, transcriptChunks.length);
+          for (let i = 0; i < count; i++) {
+            if (transcriptChunks[i]) {
+              await step('response.audio_transcript.delta', {
+                ...partIds,
+                delta: transcriptChunks[i],
+              });
+              part.transcript += transcriptChunks[i];
+            }
+            if (chunks[i]) {
+              await step('response.audio.delta', {
+                ...partIds,
+                delta: RealtimeUtils.arrayBufferToBase64(chunks[i]),
+              });
+            }
+          }
+          await step('response.audio.done', partIds);
+          await step('response.audio_transcript.done', {
+            ...partIds,
+            transcript,
+          });
+        } else {
+          for (const delta of this.chunk(output.text || '')) {
+            await step('response.text.delta', { ...partIds, delta });
+            part.text += delta;
+          }
+          await step('response.text.done', { ...partIds, text: part.text });
+        }
+        await step('response.content_part.done', { ...partIds, part });
+        item.status = 'completed';
+        await step('response.output_item.done', { ...ids, item });
+      }
+      response.status = 'completed';
+    } catch (e) {
+      for (const [output_index, item] of response.output.entries()) {
+        if (item.status === 'in_progress') {
+          item.status = 'incomplete';
+          this.send('response.output_item.done', {
+            response_id: response.id,
+            output_index,
+            item,
+          });
+        }
+      }
+      if (active.cancelled) {
+        response.status = 'cancelled';
+        response.status_details = {
+          type: 'cancelled',
+          reason: 'client_cancelled',
+        };
+      } else {
+        response.status = 'failed';
+        response.status_details = {
+          type: 'failed',
+          error: { code: 'server_error', message: e.message },
+        };
+      }
+    }
+    const outputTokens = response.output.length * 10;
+    response.usage = {
+      total_tokens: 10 + outputTokens,
+      input_tokens: 10,
+      output_tokens: outputTokens,
+    };
+    this.send('response.done', { response });
+    this.send('rate_limits.updated', {
+      rate_limits: [
+        { name: 'requests', limit: 1000, remaining: 999, reset_seconds: 0.06 },
+        {
+          name: 'tokens',
+          limit: 100_000,
+          remaining: 100_000 - response.usage.total_tokens,
+          reset_seconds: 0.01,
+        },
+      ],
+    });
+  }
+
+  /**
+   * Splits a string into streaming deltas
+   * @param {string} str
+   * @returns {string[]}
+   */
+  chunk(str) {
+    const chunks = [];
+    for (let i = 0; i < str.length; i += this.server.chunkSize) {
+      chunks.push(str.slice(i, i + this.server.chunkSize));
+    }
+    return chunks;
+  }
+}
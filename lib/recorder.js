@@ -0,0 +1,231 @@
+/**
+ * A single recorded line, same shape as the `realtime.event` client event
+ * @typedef {Object} RecordedEventType
+ * @property {string} time ISO timestamp
+ * @property {"client"|"server"} source
+ * @property {{[key: string]: any}} event
+ */
+
+/**
+ * Anything the recorder can write lines to, e.g. a Node.js WriteStream
+ * @typedef {Object} RecordingSinkType
+ * @property {(line: string) => any} write
+ * @property {(callback?: () => void) => any} [end]
+ */
+
+const sleep = (t) => new Promise((r) => setTimeout(() => r(), t));
+
+/**
+ * Records every client and server event of a RealtimeClient to JSONL
+ * @class
+ */
+export class RealtimeRecorder {
+  /**
+   * Removes base64 audio payloads from an event, leaving empty strings
+   * so the event can still be replayed
+   * @param {{[key: string]: any}} event
+   * @returns {{[key: string]: any}}
+   */
+  static stripAudio(event) {
+    if (event.type === 'input_audio_buffer.append') {
+      return { ...event, audio: '' };
+    } else if (event.type === 'response.audio.delta') {
+      return { ...event, delta: '' };
+    } else if (event.item?.content?.some((c) => c.audio)) {
+      return {
+        ...event,
+        item: {
+          ...event.item,
+          content: event.item.content.map((c) =>
+            c.audio ? { ...c, audio: '' } : c,
+          ),
+        },
+      };
+    }
+    return event;
+  }
+
+  /**
+   * Create a new RealtimeRecorder instance
+   * @param {import('./client.js').RealtimeClient} client
+   * @param {{stripAudio?: boolean}} [settings]
+   * @returns {RealtimeRecorder}
+   */
+  constructor(client, { stripAudio } = {}) {
+    this.client = client;
+    this.stripAudio = !!stripAudio;
+    this.sink = null;
+    this.handler = null;
+    this.recordedCount = 0;
+  }
+
+  /**
+   * Tells us whether or not events are being recorded
+   * @returns {boolean}
+   */
+  isRecording() {
+    return !!this.sink;
+  }
+
+  /**
+   * Starts recording to a file path (Node.js, appends) or a sink with `write()`
+   * @param {string|RecordingSinkType} destination
+   * @returns {Promise<true>}
+   */
+  async start(destination) {
+    if (this.isRecording()) {
+      throw new Error(`Already recording, use .stop() first`);
+    }
+    if (typeof destination === 'string') {
+      const moduleName = 'node:fs';
+      const fs = await import(/* webpackIgnore: true */ moduleName);
+      this.sink = fs.createWriteStream(destination, { flags: 'a' });
+    } else if (destination && typeof destination.write === 'function') {
+      this.sink = destination;
+    } else {
+      throw new Error(`Recording destination must be a path or have write()`);
+    }
+    this.recordedCount = 0;
+    this.handler = this.client.on('realtime.event', (realtimeEvent) =>
+      this.record(realtimeEvent),
+    );
+    return true;
+  }
+
+  /**
+   * Writes a single event, called for every `realtime.event` while recording
+   * @param {RecordedEventType} realtimeEvent
+   * @returns {true}
+   */
+  record({ time, source, event }) {
+    if (!this.sink) {
+      throw new Error(`Not recording, use .start() first`);
+    }
+    const recordedEvent = {
+      time,
+      source,
+      event: this.stripAudio ? RealtimeRecorder.stripAudio(event) : event,
+    };
+    this.sink.write(JSON.stringify(recordedEvent) + '\n');
+    this.recordedCount++;
+    return true;
+  }
+
+  /**
+   * Stops recording and closes the sink
+   * @returns {Promise<number>} Number of events recorded
+   */
+  async stop() {
+    if (!this.isRecording()) {
+      throw new Error(`Not recording, use .start() first`);
+    }
+    this.client.off('realtime.event', this.handler);
+    const sink = this.sink;
+    this.sink = null;
+    this.handler = null;
+    if (typeof sink.end === 'function') {
+      await new Promise((r) => sink.end(() => r()));
+    }
+    return this.recordedCount;
+  }
+}
+
+/**
+ * Feeds recorded server events back through RealtimeAPI.receive()
+ * @class
+ */
+export class RealtimeReplayer {
+  /**
+   * Parses JSONL recording contents, ignoring blank lines
+   * @param {string} text
+   * @returns {RecordedEventType[]}
+   */
+  static parse(text) {
+    return text
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line, i) => {
+        try {
+          return JSON.parse(line);
+        } catch (e) {
+          throw new Error(`Invalid recording on line ${i + 1}: ${e.message}`);
+        }
+      });
+  }
+
+  /**
+   * Create a new RealtimeReplayer instance
+   * Tools added to a RealtimeClient are not called during replay, as it is not connected
+   * @param {import('./client.js').RealtimeClient|import('./api.js').RealtimeAPI} target
+   * @returns {RealtimeReplayer}
+   */
+  constructor(target) {
+    this.realtime = target.realtime || target;
+    this.events = [];
+    this.playing = false;
+  }
+
+  /**
+   * Loads a recording from a file path (Node.js) or an array of events,
+   * use RealtimeReplayer.parse() for JSONL strings
+   * @param {string|RecordedEventType[]} source
+   * @returns {Promise<RecordedEventType[]>}
+   */
+  async load(source) {
+    if (Array.isArray(source)) {
+      this.events = source.slice();
+    } else {
+      const moduleName = 'node:fs';
+      const fs = await import(/* webpackIgnore: true */ moduleName);
+      this.events = RealtimeReplayer.parse(
+        await fs.promises.readFile(source, 'utf8'),
+      );
+    }
+    return this.events;
+  }
+
+  /**
+   * Replays loaded server events in order
+   * Uses original timing at `speed: 1`, `speed: 2` is twice as fast
+   * and `speed: Infinity` replays without delays
+   * @param {{speed?: number}} [options]
+   * @returns {Promise<number>} Number of events replayed, stops early with .stop()
+   */
+  async play({ speed = 1 } = {}) {
+    if (this.playing) {
+      throw new Error(`Already playing`);
+    }
+    if (!(speed > 0)) {
+      throw new Error(`speed must be a positive number`);
+    }
+    this.playing = true;
+    let count = 0;
+    let lastTime = null;
+    for (const { time, source, event } of this.events) {
+      if (source !== 'server') {
+        continue;
+      }
+      const t = new Date(time).getTime();
+      if (lastTime !== null && isFinite(speed) && t > lastTime) {
+        await sleep((t - lastTime) / speed);
+      }
+      if (!this.playing) {
+        break;
+      }
+      lastTime = t;
+      this.realtime.receive(event.type, event);
+      count++;
+    }
+    this.playing = false;
+    return count;
+  }
+
+  /**
+   * Stops an ongoing replay
+   * @returns {true}
+   */
+  stop() {
+    this.playing = false;
+    return true;
+  }
+}
@@ -0,0 +1,245 @@
+import { RealtimeEventHandler } from './event_handler.js';
+import { RealtimeAPI } from './api.js';
+import { RealtimeUtils } from './utils.js';
+import { RealtimeLogger } from './logger.js';
+
+/**
+ * Decides whether a browser connection may use the relay
+ * Return a falsy value to reject it, anything else is passed to `transformClientEvent` as context
+ * @typedef {(request: import('http').IncomingMessage) => any|Promise<any>} RelayAuthenticateType
+ */
+
+/**
+ * Rewrites a client event before it is forwarded upstream, return null to block it
+ * @typedef {(event: {[key: string]: any}, context: {id: string, auth: any, request: import('http').IncomingMessage}) => {[key: string]: any}|null|Promise<{[key: string]: any}|null>} RelayTransformType
+ */
+
+/**
+ * Relays browser WebSocket connections to the Realtime API,
+ * so the API key stays on the server
+ * Node.js only, requires the `ws` package
+ * @class
+ */
+export class RealtimeRelay extends RealtimeEventHandler {
+  /**
+   * Create a new RealtimeRelay instance
+   * @param {{apiKey: string, url?: string, model?: string, headers?: {[key: string]: string}, port?: number, authenticate?: RelayAuthenticateType, allowedEvents?: string[]|null, transformClientEvent?: RelayTransformType, debug?: boolean, logger?: RealtimeLogger|import('./logger.js').LogOutputType|import('./logger.js').LoggerSettingsType}} settings
+   * @returns {RealtimeRelay}
+   */
+  constructor({
+    apiKey,
+    url,
+    model,
+    headers,
+    port,
+    authenticate,
+    allowedEvents,
+    transformClientEvent,
+    debug,
+    logger,
+  } = {}) {
+    super();
+    this.baseLogger = RealtimeLogger.from(logger, { debug });
+    this.logger = this.baseLogger.child('relay');
+    if (!apiKey) {
+      throw new Error(`Missing "apiKey" for the upstream Realtime API`);
+    }
+    this.apiKey = apiKey;
+    this.url = url || null;
+    this.model = model || 'gpt-4o-realtime-preview-2024-10-01';
+    this.headers = headers || {};
+    this.port = port || 0;
+    this.authenticate = authenticate || (() => true);
+    this.allowedEvents = allowedEvents || null;
+    this.transformClientEvent = transformClientEvent || ((event) => event);
+    this.debug = !!debug;
+    this.connections = {};
+    this.wss = null;
+  }
+
+  /**
+   * Starts listening for browser connections
+   * @returns {Promise<string>} The URL browsers can connect to
+   */
+  async listen() {
+    if (this.wss) {
+      throw new Error(`Already listening`);
+    }
+    const moduleName = 'ws';
+    const wsModule = await import(/* webpackIgnore: true */ moduleName);
+    const WebSocketServer = wsModule.WebSocketServer || wsModule.default.Server;
+    const wss = new WebSocketServer({ port: this.port });
+    await new Promise((resolve, reject) => {
+      wss.once('listening', resolve);
+      wss.once('error', reject);
+    });
+    wss.on('connection', (ws, request) => this.handleConnection(ws, request));
+    this.wss = wss;
+    return `ws://localhost:${wss.address().port}`;
+  }
+
+  /**
+   * Stops the relay and closes all connections
+   * @returns {Promise<true>}
+   */
+  async close() {
+    if (this.wss) {
+      const wss = this.wss;
+      this.wss = null;
+      for (const ws of wss.clients) {
+        ws.close();
+      }
+      await new Promise((r) => wss.close(() => r()));
+    }
+    return true;
+  }
+
+  /**
+   * Tells us whether a client event may be forwarded upstream
+   * @param {{[key: string]: any}} event
+   * @returns {boolean}
+   */
+  isAllowed(event) {
+    return !this.allowedEvents || this.allowedEvents.includes(event.type);
+  }
+
+  /**
+   * Sets up a relayed session for a browser WebSocket
+   * Works with any WebSocket-like object implementing `on()`, `send()` and `close()`
+   * @param {import('ws').WebSocket} ws
+   * @param {import('http').IncomingMessage} request
+   * @returns {Promise<boolean>} false if the connection was rejected
+   */
+  async handleConnection(ws, request) {
+    const id = RealtimeUtils.generateId('conn_');
+    const context = { id, auth: null, request };
+    let closed = false;
+    let upstream = null;
+    let resolveUpstream;
+    // Messages are forwarded in order, once the upstream connection is ready
+    let queue = new Promise((r) => (resolveUpstream = r));
+    ws.on('message', (data) => {
+      queue = queue.then(async (realtime) => {
+        realtime && (await this.forward(context, realtime, ws, data));
+        return realtime;
+      });
+    });
+    ws.on('close', () => {
+      closed = true;
+      upstream && upstream.disconnect();
+      if (this.connections[id]) {
+        delete this.connections[id];
+        this.dispatch('disconnection', { id });
+      }
+    });
+    try {
+      context.auth = await this.authenticate(request);
+    } catch (e) {
+      context.auth = null;
+    }
+    if (!context.auth) {
+      this.logger.info(`Rejected unauthenticated connection "${id}"`);
+      resolveUpstream(null);
+      ws.close(4001, 'Unauthorized');
+      return false;
+    }
+    const model =
+      new URL(request.url || '/', 'http://localhost').searchParams.get(
+        'model',
+      ) || this.model;
+    const realtime = new RealtimeAPI({
+      url: this.url,
+      apiKey: this.apiKey,
+      headers: this.headers,
+      logger: this.baseLogger,
+    });
+    realtime.on('server.*', (event) => ws.send(JSON.stringify(event)));
+    realtime.on('close', () => ws.close());
+    try {
+      await realtime.connect({ model });
+    } catch (e) {
+      this.logger.error(`Could not connect upstream for "${id}":`, e);
+      resolveUpstream(null);
+      this.sendError(ws, `Could not connect upstream: ${e.message}`);
+      ws.close(1011, 'Upstream connection failed');
+      return false;
+    }
+    if (closed) {
+      resolveUpstream(null);
+      realtime.disconnect();
+      return false;
+    }
+    upstream = realtime;
+    this.connections[id] = { id, auth: context.auth, realtime };
+    this.dispatch('connection', { id, auth: context.auth });
+    resolveUpstream(realtime);
+    return true;
+  }
+
+  /**
+   * Forwards a browser message upstream, after the allowlist and transform hook
+   * @private
+   * @param {{id: string, auth: any, request: import('http').IncomingMessage}} context
+   * @param {RealtimeAPI} realtime
+   * @param {import('ws').WebSocket} ws
+   * @param {any} data
+   * @returns {Promise<boolean>}
+   */
+  async forward(context, realtime, ws, data) {
+    let event;
+    try {
+      event = JSON.parse(data.toString());
+    } catch (e) {
+      this.sendError(ws, `Invalid JSON: ${e.message}`);
+      return false;
+    }
+    let forwardEvent = null;
+    if (this.isAllowed(event)) {
+      try {
+        forwardEvent = await this.transformClientEvent(event, context);
+      } catch (e) {
+        forwardEvent = null;
+      }
+    }
+    if (!forwardEvent) {
+      this.logger.info(`Blocked "${event.type}" event from "${context.id}"`);
+      this.sendError(ws, `Event "${event.type}" is not allowed`, event);
+      this.dispatch('blocked', { id: context.id, event });
+      return false;
+    }
+    if (!realtime.isConnected()) {
+      return false;
+    }
+    const { type, ...payload } = forwardEvent;
+    try {
+      realtime.send(type, payload);
+    } catch (e) {
+      this.sendError(ws, e.message, event);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Sends an "error" server event to the browser
+   * @private
+   * @param {import('ws').WebSocket} ws
+   * @param {string} message
+   * @param {{[key: string]: any}} [event] The blocked client event
+   */
+  sendError(ws, message, event) {
+    ws.send(
+      JSON.stringify({
+        event_id: RealtimeUtils.generateId('event_'),
+        type: 'error',
+        error: {
+          type: 'invalid_request_error',
+          code: event ? 'event_not_allowed' : 'relay_error',
+          message,
+          param: null,
+          event_id: event?.event_id || null,
+        },
+      }),
+    );
+  }
+}
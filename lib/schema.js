@@ -0,0 +1,419 @@
+/**
+ * Describes an expected value
+ * Objects report unknown properties unless `additionalProperties` is set,
+ * `variants` picks a schema for objects based on their `discriminator` property
+ * @typedef {Object} SchemaType
+ * @property {"string"|"number"|"integer"|"boolean"|"object"|"array"|"any"|Array<"string"|"number"|"integer"|"boolean"|"object"|"array">} type
+ * @property {boolean} [required]
+ * @property {boolean} [nullable]
+ * @property {any[]} [enum]
+ * @property {{[key: string]: SchemaType}} [properties]
+ * @property {boolean} [additionalProperties]
+ * @property {SchemaType} [items]
+ * @property {string} [discriminator]
+ * @property {{[key: string]: SchemaType}} [variants]
+ * @property {number} [minimum]
+ * @property {number} [maximum]
+ */
+
+/**
+ * A single validation failure
+ * @typedef {Object} SchemaErrorType
+ * @property {string} path Dot-separated path to the bad field, e.g. "item.content.0.type"
+ * @property {string} message
+ */
+
+const audioFormat = {
+  type: 'string',
+  enum: ['pcm16', 'g711_ulaw', 'g711_alaw'],
+};
+
+const modalities = {
+  type: 'array',
+  items: { type: 'string', enum: ['text', 'audio'] },
+};
+
+const toolDefinition = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['function'] },
+    name: { type: 'string', required: true },
+    description: { type: 'string' },
+    parameters: { type: 'object', additionalProperties: true },
+  },
+};
+
+const toolChoice = {
+  type: ['string', 'object'],
+  enum: ['auto', 'none', 'required'],
+  properties: {
+    type: { type: 'string', required: true, enum: ['function'] },
+    name: { type: 'string', required: true },
+  },
+};
+
+const responseConfig = {
+  modalities,
+  instructions: { type: 'string' },
+  voice: { type: 'string' },
+  output_audio_format: audioFormat,
+  tools: { type: 'array', items: toolDefinition },
+  tool_choice: toolChoice,
+  temperature: { type: 'number', minimum: 0.6, maximum: 1.2 },
+  max_response_output_tokens: {
+    type: ['integer', 'string'],
+    enum: ['inf'],
+    minimum: 1,
+    maximum: 4096,
+  },
+};
+
+const sessionSchema = {
+  type: 'object',
+  required: true,
+  properties: {
+    ...responseConfig,
+    model: { type: 'string' },
+    input_audio_format: audioFormat,
+    input_audio_transcription: {
+      type: 'object',
+      nullable: true,
+      properties: {
+        model: { type: 'string', required: true },
+      },
+    },
+    turn_detection: {
+      type: 'object',
+      nullable: true,
+      properties: {
+        type: { type: 'string', required: true, enum: ['server_vad', 'none'] },
+        threshold: { type: 'number', minimum: 0, maximum: 1 },
+        prefix_padding_ms: { type: 'integer', minimum: 0 },
+        silence_duration_ms: { type: 'integer', minimum: 0 },
+      },
+    },
+  },
+};
+
+const contentVariants = {
+  input_text: {
+    type: 'object',
+    properties: {
+      type: { type: 'string' },
+      text: { type: 'string', required: true },
+    },
+  },
+  input_audio: {
+    type: 'object',
+    properties: {
+      type: { type: 'string' },
+      audio: { type: 'string' },
+      transcript: { type: 'string', nullable: true },
+    },
+  },
+  text: {
+    type: 'object',
+    properties: {
+      type: { type: 'string' },
+      text: { type: 'string', required: true },
+    },
+  },
+};
+
+/**
+ * @param {string[]} contentTypes
+ * @returns {SchemaType}
+ */
+const messageContent = (contentTypes) => ({
+  type: 'array',
+  required: true,
+  items: {
+    type: 'object',
+    discriminator: 'type',
+    variants: Object.fromEntries(
+      contentTypes.map((type) => [type, contentVariants[type]]),
+    ),
+  },
+});
+
+const itemBase = {
+  id: { type: 'string' },
+  object: { type: 'string', enum: ['realtime.item'] },
+  type: { type: 'string' },
+  status: { type: 'string', enum: ['completed', 'incomplete', 'in_progress'] },
+};
+
+const itemSchema = {
+  type: 'object',
+  required: true,
+  discriminator: 'type',
+  variants: {
+    message: {
+      type: 'object',
+      discriminator: 'role',
+      variants: {
+        system: {
+          type: 'object',
+          properties: {
+            ...itemBase,
+            role: { type: 'string' },
+            content: messageContent(['input_text']),
+          },
+        },
+        user: {
+          type: 'object',
+          properties: {
+            ...itemBase,
+            role: { type: 'string' },
+            content: messageContent(['input_text', 'input_audio']),
+          },
+        },
+        assistant: {
+          type: 'object',
+          properties: {
+            ...itemBase,
+            role: { type: 'string' },
+            content: messageContent(['text']),
+          },
+        },
+      },
+    },
+    function_call: {
+      type: 'object',
+      properties: {
+        ...itemBase,
+        call_id: { type: 'string', required: true },
+        name: { type: 'string', required: true },
+        arguments: { type: 'string', required: true },
+      },
+    },
+    function_call_output: {
+      type: 'object',
+      properties: {
+        ...itemBase,
+        call_id: { type: 'string', required: true },
+        output: { type: 'string', required: true },
+      },
+    },
+  },
+};
+
+/**
+ * Validates client events against the realtime-v1 client event catalog
+ * @class
+ */
+export class RealtimeSchema {
+  /**
+   * Payload schemas of every known client event, keyed by event type
+   * `event_id` and `type` are accepted on every event
+   * @type {{[key: string]: {[key: string]: SchemaType}}}
+   */
+  static clientEvents = {
+    'session.update': {
+      session: sessionSchema,
+    },
+    'input_audio_buffer.append': {
+      audio: { type: 'string', required: true },
+    },
+    'input_audio_buffer.commit': {},
+    'input_audio_buffer.clear': {},
+    'conversation.item.create': {
+      previous_item_id: { type: 'string', nullable: true },
+      item: itemSchema,
+    },
+    'conversation.item.truncate': {
+      item_id: { type: 'string', required: true },
+      content_index: { type: 'integer', required: true, minimum: 0 },
+      audio_end_ms: { type: 'integer', required: true, minimum: 0 },
+    },
+    'conversation.item.delete': {
+      item_id: { type: 'string', required: true },
+    },
+    'response.create': {
+      response: {
+        type: 'object',
+        properties: {
+          ...responseConfig,
+          conversation: { type: 'string' },
+          metadata: {
+            type: 'object',
+            nullable: true,
+            additionalProperties: true,
+          },
+          input: { type: 'array', items: { type: 'any' } },
+        },
+      },
+    },
+    'response.cancel': {},
+  };
+
+  /**
+   * Validates a client event, returns an empty array when it is valid
+   * @param {string} eventName
+   * @param {{[key: string]: any}} event
+   * @returns {SchemaErrorType[]}
+   */
+  static validateClientEvent(eventName, event) {
+    const properties = this.clientEvents[eventName];
+    if (!properties) {
+      return [
+        {
+          path: 'type',
+          message: `Unknown client event "${eventName}"`,
+        },
+      ];
+    }
+    const schema = {
+      type: 'object',
+      properties: {
+        event_id: { type: 'string' },
+        type: { type: 'string' },
+        ...properties,
+      },
+    };
+    return this.validate(schema, event);
+  }
+
+  /**
+   * Validates a value against a schema
+   * @param {SchemaType} schema
+   * @param {any} value
+   * @param {string} [path]
+   * @returns {SchemaErrorType[]}
+   */
+  static validate(schema, value, path = '') {
+    const name = path || 'value';
+    if (value === void 0) {
+      return schema.required
+        ? [{ path: name, message: `"${name}" is required` }]
+        : [];
+    }
+    if (value === null) {
+      return schema.nullable
+        ? []
+        : [{ path: name, message: `"${name}" can not be null` }];
+    }
+    const types = [].concat(schema.type);
+    const valueType = this.getType(value);
+    if (
+      !types.includes('any') &&
+      !types.includes(valueType) &&
+      !(valueType === 'integer' && types.includes('number'))
+    ) {
+      return [
+        {
+          path: name,
+          message: `"${name}" must be of type ${types.join(' or ')}, got ${valueType}`,
+        },
+      ];
+    }
+    if (valueType === 'string') {
+      if (schema.enum && !schema.enum.includes(value)) {
+        return [
+          {
+            path: name,
+            message: `"${name}" must be one of ${schema.enum
+              .map((v) => `"${v}"`)
+              .join(', ')}, got "${value}"`,
+          },
+        ];
+      }
+    } else if (valueType === 'number' || valueType === 'integer') {
+      if (schema.minimum !== void 0 && value < schema.minimum) {
+        return [
+          { path: name, message: `"${name}" must be >= ${schema.minimum}` },
+        ];
+      }
+      if (schema.maximum !== void 0 && value > schema.maximum) {
+        return [
+          { path: name, message: `"${name}" must be <= ${schema.maximum}` },
+        ];
+      }
+    } else if (valueType === 'array') {
+      if (schema.items) {
+        return value.flatMap((item, i) =>
+          this.validate(schema.items, item, this.joinPath(path, i)),
+        );
+      }
+    } else if (valueType === 'object') {
+      return this.validateObject(schema, value, path);
+    }
+    return [];
+  }
+
+  /**
+   * @private
+   * @param {SchemaType} schema
+   * @param {{[key: string]: any}} value
+   * @param {string} path
+   * @returns {SchemaErrorType[]}
+   */
+  static validateObject(schema, value, path) {
+    if (schema.variants) {
+      const key = schema.discriminator;
+      const keyPath = this.joinPath(path, key);
+      const variant = schema.variants[value[key]];
+      if (!variant) {
+        const expected = Object.keys(schema.variants)
+          .map((v) => `"${v}"`)
+          .join(', ');
+        return [
+          {
+            path: keyPath,
+            message:
+              value[key] === void 0
+                ? `"${keyPath}" is required, must be one of ${expected}`
+                : `"${keyPath}" must be one of ${expected}, got "${value[key]}"`,
+          },
+        ];
+      }
+      return this.validate({ ...variant, required: false }, value, path);
+    }
+    if (!schema.properties) {
+      return [];
+    }
+    const errors = [];
+    for (const key in schema.properties) {
+      errors.push(
+        ...this.validate(
+          schema.properties[key],
+          value[key],
+          this.joinPath(path, key),
+        ),
+      );
+    }
+    if (!schema.additionalProperties) {
+      for (const key in value) {
+        if (!schema.properties[key]) {
+          const keyPath = this.joinPath(path, key);
+          errors.push({ path: keyPath, message: `Unknown field "${keyPath}"` });
+        }
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * @private
+   * @param {any} value
+   * @returns {string}
+   */
+  static getType(value) {
+    if (Array.isArray(value)) {
+      return 'array';
+    } else if (Number.isInteger(value)) {
+      return 'integer';
+    }
+    return typeof value;
+  }
+
+  /**
+   * @private
+   * @param {string} path
+   * @param {string|number} key
+   * @returns {string}
+   */
+  static joinPath(path, key) {
+    return path ? `${path}.${key}` : `${key}`;
+  }
+}
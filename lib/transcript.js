@@ -0,0 +1,234 @@
+import { RealtimeConversation } from './conversation.js';
+
+/**
+ * Speaker labels used by the exporters, keyed by speaker
+ * @typedef {Object} TranscriptSpeakersType
+ * @property {string} [user]
+ * @property {string} [assistant]
+ * @property {string} [system]
+ * @property {string} [tool]
+ */
+
+/**
+ * @typedef {Object} TranscriptOptionsType
+ * @property {TranscriptSpeakersType} [speakers] Overrides the default speaker labels
+ * @property {boolean} [includeTools] Adds function calls and their outputs, defaults to true
+ * @property {number} [frequency] Sample rate of item audio, defaults to the conversation's `defaultFrequency`
+ * @property {number} [defaultDuration] Duration of cues for items without audio in milliseconds, defaults to 1000
+ * @property {boolean} [timestamps] Prefixes plain text and Markdown lines with the cue start time
+ */
+
+/**
+ * A single line of the transcript, times are in milliseconds
+ * @typedef {Object} TranscriptCueType
+ * @property {import('./client.js').ItemType} item
+ * @property {"user"|"assistant"|"system"|"tool"} speaker
+ * @property {string} text Transcript or text of a message, or a summary of a tool call
+ * @property {{name: string, arguments?: string, output?: string}|null} tool
+ * @property {number} start
+ * @property {number} end
+ */
+
+const defaultSpeakers = {
+  user: 'User',
+  assistant: 'Assistant',
+  system: 'System',
+  tool: 'Tool',
+};
+
+/**
+ * Exports conversation items as WebVTT or SRT subtitles, Markdown or plain text
+ * Cue timings come from the conversation timeline, see RealtimeConversation.createTimeline()
+ * @class
+ */
+export class RealtimeTranscript {
+  /**
+   * Builds timed transcript cues from a conversation or a list of its items
+   * Items without any text, e.g. audio with an empty transcript, are skipped
+   * @param {import('./conversation.js').RealtimeConversation|import('./client.js').ItemType[]} conversation
+   * @param {TranscriptOptionsType} [options]
+   * @returns {TranscriptCueType[]}
+   */
+  static getCues(conversation, options = {}) {
+    const items = Array.isArray(conversation)
+      ? conversation
+      : conversation.getItems();
+    const {
+      includeTools = true,
+      frequency = Array.isArray(conversation)
+        ? 24_000
+        : conversation.defaultFrequency,
+      defaultDuration = 1000,
+    } = options;
+    const timeline = RealtimeConversation.createTimeline(items, {
+      frequency,
+      defaultDuration,
+    });
+    const toolNames = {};
+    const cues = [];
+    for (const { item, start, end } of timeline) {
+      const formatted = item.formatted || {};
+      let speaker = null;
+      let text = '';
+      let tool = null;
+      if (item.type === 'message') {
+        speaker = item.role;
+        text = (formatted.transcript || formatted.text || '').trim();
+      } else if (item.type === 'function_call') {
+        toolNames[item.call_id] = item.name;
+        if (includeTools) {
+          speaker = 'tool';
+          tool = { name: item.name, arguments: item.arguments || '' };
+          text = `${tool.name}(${tool.arguments})`;
+        }
+      } else if (item.type === 'function_call_output' && includeTools) {
+        speaker = 'tool';
+        tool = {
+          name: toolNames[item.call_id] || item.call_id,
+          output: item.output || '',
+        };
+        text = `${tool.name} returned ${tool.output}`;
+      }
+      if (speaker && text) {
+        cues.push({ item, speaker, text, tool, start, end });
+      }
+    }
+    return cues;
+  }
+
+  /**
+   * Exports a conversation as WebVTT subtitles, with speakers as voice spans
+   * @param {import('./conversation.js').RealtimeConversation|import('./client.js').ItemType[]} conversation
+   * @param {TranscriptOptionsType} [options]
+   * @returns {string}
+   */
+  static toWebVTT(conversation, options = {}) {
+    const cues = this.getCues(conversation, options).map((cue, i) => {
+      const label = this.escapeVTT(this.getLabel(cue, options));
+      const text = this.escapeVTT(this.removeBlankLines(cue.text));
+      return [
+        `${i + 1}`,
+        `${this.formatTime(cue.start, '.')} --> ${this.formatTime(this.getEnd(cue), '.')}`,
+        `<v ${label}>${text}`,
+      ].join('\n');
+    });
+    return ['WEBVTT'].concat(cues).join('\n\n') + '\n';
+  }
+
+  /**
+   * Exports a conversation as SRT subtitles, lines are prefixed with the speaker
+   * @param {import('./conversation.js').RealtimeConversation|import('./client.js').ItemType[]} conversation
+   * @param {TranscriptOptionsType} [options]
+   * @returns {string}
+   */
+  static toSRT(conversation, options = {}) {
+    return this.getCues(conversation, options)
+      .map((cue, i) => {
+        const label = this.getLabel(cue, options);
+        return [
+          `${i + 1}`,
+          `${this.formatTime(cue.start, ',')} --> ${this.formatTime(this.getEnd(cue), ',')}`,
+          `${label}: ${this.removeBlankLines(cue.text)}`,
+        ].join('\n');
+      })
+      .map((cue) => `${cue}\n`)
+      .join('\n');
+  }
+
+  /**
+   * Exports a conversation as Markdown, one paragraph per item
+   * @param {import('./conversation.js').RealtimeConversation|import('./client.js').ItemType[]} conversation
+   * @param {TranscriptOptionsType} [options]
+   * @returns {string}
+   */
+  static toMarkdown(conversation, options = {}) {
+    return this.getCues(conversation, options)
+      .map((cue) => {
+        let text = cue.text;
+        if (cue.tool && typeof cue.tool.output === 'string') {
+          text = `\`${cue.tool.name}\` returned \`${cue.tool.output}\``;
+        } else if (cue.tool) {
+          text = `\`${cue.text}\``;
+        }
+        const time = options.timestamps
+          ? `[${this.formatTime(cue.start, '.')}] `
+          : '';
+        return `${time}**${this.getLabel(cue, options)}:** ${text}\n`;
+      })
+      .join('\n');
+  }
+
+  /**
+   * Exports a conversation as plain text, one line per item
+   * @param {import('./conversation.js').RealtimeConversation|import('./client.js').ItemType[]} conversation
+   * @param {TranscriptOptionsType} [options]
+   * @returns {string}
+   */
+  static toText(conversation, options = {}) {
+    return this.getCues(conversation, options)
+      .map((cue) => {
+        const time = options.timestamps
+          ? `[${this.formatTime(cue.start, '.')}] `
+          : '';
+        return `${time}${this.getLabel(cue, options)}: ${cue.text}\n`;
+      })
+      .join('');
+  }
+
+  /**
+   * Formats milliseconds as "hh:mm:ss.ttt"
+   * @param {number} ms
+   * @param {"."|","} [separator] Separator before the milliseconds, SRT uses ","
+   * @returns {string}
+   */
+  static formatTime(ms, separator = '.') {
+    const total = Math.max(0, Math.round(ms));
+    const hours = Math.floor(total / 3_600_000);
+    const minutes = Math.floor(total / 60_000) % 60;
+    const seconds = Math.floor(total / 1000) % 60;
+    const pad = (n, length = 2) => n.toString().padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+  }
+
+  /**
+   * @private
+   * @param {TranscriptCueType} cue
+   * @param {TranscriptOptionsType} options
+   * @returns {string}
+   */
+  static getLabel(cue, options) {
+    return { ...defaultSpeakers, ...options.speakers }[cue.speaker];
+  }
+
+  /**
+   * Subtitle cues need a positive duration
+   * @private
+   * @param {TranscriptCueType} cue
+   * @returns {number}
+   */
+  static getEnd(cue) {
+    return Math.max(cue.end, cue.start + 1);
+  }
+
+  /**
+   * Blank lines end a cue in WebVTT and SRT
+   * @private
+   * @param {string} text
+   * @returns {string}
+   */
+  static removeBlankLines(text) {
+    return text.replace(/\n\s*\n/g, '\n');
+  }
+
+  /**
+   * @private
+   * @param {string} text
+   * @returns {string}
+   */
+  static escapeVTT(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Options passed to a transport when opening a connection
+ * @typedef {Object} TransportOpenOptionsType
+ * @property {string[]} protocols WebSocket subprotocols, used for browser authentication
+ * @property {{[key: string]: string}} headers HTTP headers, ignored where they can not be set
+ */
+
+/**
+ * Any object RealtimeAPI can send events over
+ * RealtimeAPI sets the `on*` callbacks before calling `open()`
+ * @typedef {Object} RealtimeTransportType
+ * @property {(url: string, options: TransportOpenOptionsType) => Promise<any>|any} [open] Resolves once the connection can send
+ * @property {(data: string) => void} send
+ * @property {() => void} close
+ * @property {((data: string|{[key: string]: any}) => void)|null} [onmessage]
+ * @property {(() => void)|null} [onclose]
+ * @property {((error?: any) => void)|null} [onerror]
+ */
+
+/**
+ * Creates a WebSocket-like object, e.g. `new WebSocket(url, protocols, options)`
+ * Must implement `addEventListener()`, `send()` and `close()`
+ * @typedef {(url: string, protocols: string[], options: {headers: {[key: string]: string}}) => any} WebSocketFactoryType
+ */
+
+/**
+ * Transport over a WebSocket, used by default by RealtimeAPI
+ * @class
+ */
+export class RealtimeWebSocketTransport {
+  /**
+   * Gets a factory for the WebSocket implementation of the current environment:
+   * the global `WebSocket` in browsers, the `ws` package in Node.js
+   * Node.js 22 also has a global `WebSocket`, but it can not set headers
+   * @returns {Promise<WebSocketFactoryType>}
+   */
+  static async getDefaultWebSocketFactory() {
+    if (globalThis.document && globalThis.WebSocket) {
+      /**
+       * Web browser
+       */
+      const WebSocket = globalThis.WebSocket;
+      return (url, protocols) => new WebSocket(url, protocols);
+    } else {
+      /**
+       * Node.js
+       */
+      const moduleName = 'ws';
+      const wsModule = await import(/* webpackIgnore: true */ moduleName);
+      const WebSocket = wsModule.default;
+      // Node.js can authenticate with headers, subprotocols are not needed
+      return (url, protocols, { headers }) =>
+        new WebSocket(url, [], { headers });
+    }
+  }
+
+  /**
+   * Create a new RealtimeWebSocketTransport instance
+   * @param {WebSocketFactoryType} [createWebSocket] Defaults to the environment WebSocket
+   * @returns {RealtimeWebSocketTransport}
+   */
+  constructor(createWebSocket) {
+    this.createWebSocket = createWebSocket || null;
+    this.ws = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.onerror = null;
+  }
+
+  /**
+   * Opens the WebSocket, rejects if the connection can not be established
+   * @param {string} url
+   * @param {TransportOpenOptionsType} options
+   * @returns {Promise<true>}
+   */
+  async open(url, { protocols = [], headers = {} } = {}) {
+    const createWebSocket =
+      this.createWebSocket ||
+      (await RealtimeWebSocketTransport.getDefaultWebSocketFactory());
+    const ws = await createWebSocket(url, protocols, { headers });
+    this.ws = ws;
+    ws.addEventListener('message', (event) => {
+      this.onmessage && this.onmessage(event.data.toString());
+    });
+    return new Promise((resolve, reject) => {
+      let opened = false;
+      // Errors after the connection is open are followed by a "close" event
+      ws.addEventListener('error', (error) => {
+        if (!opened) {
+          this.ws === ws && (this.ws = null);
+          reject(new Error(`Could not connect to "${url}"`));
+        } else {
+          this.onerror && this.onerror(error);
+        }
+      });
+      ws.addEventListener('open', () => {
+        opened = true;
+        ws.addEventListener('close', () => {
+          this.ws === ws && (this.ws = null);
+          this.onclose && this.onclose();
+        });
+        resolve(true);
+      });
+    });
+  }
+
+  /**
+   * Sends serialized data over the WebSocket
+   * @param {string} data
+   * @returns {true}
+   */
+  send(data) {
+    if (!this.ws) {
+      throw new Error(`WebSocket is not open`);
+    }
+    this.ws.send(data);
+    return true;
+  }
+
+  /**
+   * Closes the WebSocket
+   * @returns {true}
+   */
+  close() {
+    this.ws && this.ws.close();
+    return true;
+  }
+}
@@ -84,6 +84,105 @@ export class RealtimeUtils {
     return newValues;
   }
 
+  /**
+   * Encodes 16-bit PCM audio as a WAV file
+   * @param {Int16Array|Float32Array|ArrayBuffer} audio Samples, interleaved when there are multiple channels
+   * @param {{sampleRate?: number, channels?: number}} [options] Defaults to 24,000 Hz mono
+   * @returns {ArrayBuffer}
+   */
+  static encodeWAV(audio, { sampleRate = 24_000, channels = 1 } = {}) {
+    if (audio instanceof Float32Array) {
+      audio = this.floatTo16BitPCM(audio);
+    }
+    const samples = audio instanceof Int16Array ? audio : new Int16Array(audio);
+    const buffer = new ArrayBuffer(44 + samples.byteLength);
+    const view = new DataView(buffer);
+    const writeString = (offset, value) => {
+      for (let i = 0; i < value.length; i++) {
+        view.setUint8(offset + i, value.charCodeAt(i));
+      }
+    };
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + samples.byteLength, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true); // fmt chunk size
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * channels * 2, true); // byte rate
+    view.setUint16(32, channels * 2, true); // block align
+    view.setUint16(34, 16, true); // bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, samples.byteLength, true);
+    for (let i = 0; i < samples.length; i++) {
+      view.setInt16(44 + i * 2, samples[i], true);
+    }
+    return buffer;
+  }
+
+  /**
+   * Decodes a 16-bit PCM WAV file, unknown chunks are skipped
+   * @param {ArrayBuffer|Uint8Array} wav
+   * @returns {{sampleRate: number, channels: number, audio: Int16Array}} Samples are interleaved when there are multiple channels
+   */
+  static decodeWAV(wav) {
+    const view = ArrayBuffer.isView(wav)
+      ? new DataView(wav.buffer, wav.byteOffset, wav.byteLength)
+      : new DataView(wav);
+    const readString = (offset, length) => {
+      let value = '';
+      for (let i = 0; i < length; i++) {
+        value += String.fromCharCode(view.getUint8(offset + i));
+      }
+      return value;
+    };
+    if (
+      view.byteLength < 12 ||
+      readString(0, 4) !== 'RIFF' ||
+      readString(8, 4) !== 'WAVE'
+    ) {
+      throw new Error('Invalid WAV file: missing RIFF/WAVE header');
+    }
+    let format = null;
+    let offset = 12;
+    while (offset + 8 <= view.byteLength) {
+      const chunkId = readString(offset, 4);
+      const chunkSize = view.getUint32(offset + 4, true);
+      const start = offset + 8;
+      if (chunkId === 'fmt ') {
+        format = {
+          audioFormat: view.getUint16(start, true),
+          channels: view.getUint16(start + 2, true),
+          sampleRate: view.getUint32(start + 4, true),
+          bitsPerSample: view.getUint16(start + 14, true),
+        };
+        if (format.audioFormat !== 1 || format.bitsPerSample !== 16) {
+          throw new Error(
+            `Unsupported WAV format: only 16-bit PCM can be decoded, got format ${format.audioFormat} with ${format.bitsPerSample} bits per sample`,
+          );
+        }
+      } else if (chunkId === 'data') {
+        if (!format) {
+          throw new Error('Invalid WAV file: "data" chunk before "fmt " chunk');
+        }
+        const length = Math.min(chunkSize, view.byteLength - start) >> 1;
+        const audio = new Int16Array(length);
+        for (let i = 0; i < length; i++) {
+          audio[i] = view.getInt16(start + i * 2, true);
+        }
+        return {
+          sampleRate: format.sampleRate,
+          channels: format.channels,
+          audio,
+        };
+      }
+      // Chunks are padded to an even size
+      offset = start + chunkSize + (chunkSize % 2);
+    }
+    throw new Error('Invalid WAV file: missing "data" chunk');
+  }
+
   /**
    * Generates an id to send with events and messages
    * @param {string} prefix
@@ -0,0 +1,64 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+
+import { RealtimeAudioBuffer } from '../../index.js';
+
+export async function run({ debug = false } = {}) {
+  describe('RealtimeAudioBuffer', () => {
+    it('Should append chunks without copying them', () => {
+      const buffer = new RealtimeAudioBuffer();
+      const first = new Int16Array([1, 2]);
+      buffer.append(first);
+      buffer.append(new Int16Array([3, 4, 5]).buffer);
+      buffer.append(new Int16Array(0));
+      expect(buffer.length).to.equal(5);
+      expect(buffer.chunks.length).to.equal(2);
+      expect(buffer.chunks[0]).to.equal(first);
+      expect(buffer.toInt16Array()).to.deep.equal(
+        new Int16Array([1, 2, 3, 4, 5]),
+      );
+      expect(buffer.chunks.length).to.equal(1);
+      expect(buffer.toInt16Array()).to.equal(buffer.toInt16Array());
+    });
+
+    it('Should slice and truncate across chunks', () => {
+      const buffer = new RealtimeAudioBuffer();
+      for (const chunk of [[1, 2], [3, 4, 5], [6]]) {
+        buffer.append(new Int16Array(chunk));
+      }
+      expect(buffer.slice(1, 4)).to.deep.equal(new Int16Array([2, 3, 4]));
+      expect(buffer.slice(4)).to.deep.equal(new Int16Array([5, 6]));
+      expect(buffer.slice(5, 100)).to.deep.equal(new Int16Array([6]));
+      expect(buffer.slice(3, 2)).to.deep.equal(new Int16Array(0));
+      expect(buffer.truncate(10)).to.equal(6);
+      expect(buffer.truncate(3)).to.equal(3);
+      expect(buffer.toInt16Array()).to.deep.equal(new Int16Array([1, 2, 3]));
+    });
+
+    it('Should back formatted.audio', () => {
+      const formatted = { text: '' };
+      const buffer = RealtimeAudioBuffer.attach(formatted);
+      expect(formatted.audio).to.deep.equal(new Int16Array(0));
+      buffer.append(new Int16Array([1, 2]));
+      buffer.append(new Int16Array([3]));
+      expect(formatted.audio).to.deep.equal(new Int16Array([1, 2, 3]));
+      const audio = new Int16Array([7, 8]);
+      formatted.audio = audio;
+      expect(formatted.audio).to.equal(audio);
+      expect(formatted.audioBuffer).to.equal(buffer);
+      expect(Object.keys(formatted)).to.deep.equal(['text', 'audio']);
+      expect(JSON.parse(JSON.stringify(formatted)).audioBuffer).to.equal(
+        void 0,
+      );
+    });
+
+    it('Should discard audio when not retained', () => {
+      const formatted = {};
+      const buffer = RealtimeAudioBuffer.attach(formatted, { retain: false });
+      buffer.append(new Int16Array([1, 2]));
+      formatted.audio = new Int16Array([3]);
+      expect(buffer.length).to.equal(0);
+      expect(formatted.audio).to.deep.equal(new Int16Array(0));
+    });
+  });
+}
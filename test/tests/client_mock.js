@@ -0,0 +1,1014 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+
+import {
+  RealtimeClient,
+  RealtimeMockServer,
+  RealtimeMetrics,
+  RealtimeConnectionClosedError,
+  RealtimeConversation,
+  RealtimeWebSocketTransport,
+  RealtimeUtils,
+} from '../../index.js';
+
+export async function run({ debug = false } = {}) {
+  describe('RealtimeClient (mock server)', () => {
+    let server;
+    let client;
+
+    const waitForAssistantItem = async () => {
+      const { item } = await client.waitForNextCompletedItem({
+        predicate: ({ item }) => item.role === 'assistant',
+      });
+      return item;
+    };
+
+    before(async () => {
+      server = new RealtimeMockServer();
+      await server.listen();
+    });
+
+    afterEach(() => {
+      client && client.isConnected() && client.disconnect();
+    });
+
+    after(async () => {
+      await server.close();
+    });
+
+    describe('Reconnection', () => {
+      it('Should restore the session and replay items after reconnecting', async () => {
+        client = new RealtimeClient({
+          url: server.url,
+          reconnect: { initialDelay: 10, jitter: 0 },
+          replayConversation: true,
+          debug,
+        });
+        client.updateSession({ instructions: 'Be brief' });
+        await client.connect();
+        const answered = waitForAssistantItem();
+        client.sendUserMessageContent([{ type: 'input_text', text: 'Hello' }]);
+        await answered;
+        const ids = client.conversation.getItems().map((item) => item.id);
+
+        const appended = [];
+        client.on('conversation.item.appended', ({ item }) =>
+          appended.push(item.id),
+        );
+        client.on('conversation.item.completed', ({ item }) =>
+          appended.push(item.id),
+        );
+        const replayed = new Promise((resolve) => {
+          const created = [];
+          client.realtime.on('server.conversation.item.created', (event) => {
+            created.push(event);
+            created.length === ids.length && resolve(created);
+          });
+        });
+        const receivedCount = server.receivedEvents.length;
+        server.dropConnections();
+        const created = await replayed;
+
+        const received = server.receivedEvents.slice(receivedCount);
+        const sessionUpdate = received.find(
+          (event) => event.type === 'session.update',
+        );
+        expect(sessionUpdate.session.instructions).to.equal('Be brief');
+        const itemCreates = received.filter(
+          (event) => event.type === 'conversation.item.create',
+        );
+        expect(itemCreates.map((event) => event.item.id)).to.deep.equal(ids);
+        expect(itemCreates[0].previous_item_id).to.equal(null);
+        expect(itemCreates[1].previous_item_id).to.equal(ids[0]);
+        expect(created.map((event) => event.item.id)).to.deep.equal(ids);
+        expect(appended).to.deep.equal([]);
+        expect(
+          client.conversation.getItems().map((item) => item.id),
+        ).to.deep.equal(ids);
+      });
+
+      it('Should stop reconnecting after disconnect()', async () => {
+        client = new RealtimeClient({
+          url: server.url,
+          reconnect: { initialDelay: 50, jitter: 0 },
+          debug,
+        });
+        await client.connect();
+        const reconnecting = new Promise((r) => client.on('reconnecting', r));
+        let reconnected = false;
+        client.on('reconnected', () => (reconnected = true));
+        server.dropConnections();
+        await reconnecting;
+        client.disconnect();
+        await new Promise((r) => setTimeout(r, 200));
+
+        expect(reconnected).to.equal(false);
+        expect(client.isConnected()).to.equal(false);
+        expect(client.realtime.reconnecting).to.equal(false);
+      });
+    });
+
+    describe('Rate limits', () => {
+      it('Should track rate limits after a response', async () => {
+        client = new RealtimeClient({ url: server.url, debug });
+        await client.connect();
+        const changed = new Promise((r) => client.on('rate_limits.changed', r));
+        client.sendUserMessageContent([{ type: 'input_text', text: 'Hello' }]);
+        const { rateLimits } = await changed;
+
+        expect(rateLimits.tokens.limit).to.equal(100_000);
+        expect(rateLimits.tokens.remaining).to.be.lessThan(100_000);
+        expect(rateLimits.tokens.reset_at).to.be.greaterThan(Date.now() - 1000);
+        expect(rateLimits.requests.remaining).to.equal(999);
+      });
+
+      it('Should delay createResponse() below the token threshold', async () => {
+        client = new RealtimeClient({
+          url: server.url,
+          rateLimitThreshold: 1_000_000,
+          debug,
+        });
+        await client.connect();
+        const changed = new Promise((r) => client.on('rate_limits.changed', r));
+        client.sendUserMessageContent([{ type: 'input_text', text: 'Hello' }]);
+        await changed;
+        const delayed = new Promise((r) => client.on('response.delayed', r));
+        const answered = waitForAssistantItem();
+        const countResponseCreates = () =>
+          server.receivedEvents.filter(
+            (event) => event.type === 'response.create',
+          ).length;
+        const responseCreates = countResponseCreates();
+        client.createResponse();
+        client.createResponse();
+        const { delay } = await delayed;
+        await answered;
+        await new Promise((r) => setTimeout(r, 50));
+
+        expect(delay).to.be.within(1, 10);
+        expect(countResponseCreates() - responseCreates).to.equal(1);
+      });
+    });
+
+    describe('Metrics', () => {
+      it('Should measure latency from the turn trigger', () => {
+        const metrics = new RealtimeMetrics();
+        const response = { id: 'resp_1', status: 'completed' };
+        metrics.processEvent(
+          { type: 'input_audio_buffer.speech_stopped' },
+          1000,
+        );
+        metrics.processEvent({ type: 'response.created', response }, 1100);
+        metrics.processEvent(
+          { type: 'response.audio.delta', response_id: 'resp_1' },
+          1250,
+        );
+        metrics.processEvent(
+          { type: 'response.audio.delta', response_id: 'resp_1' },
+          1300,
+        );
+        const done = metrics.processEvent(
+          {
+            type: 'response.done',
+            response: {
+              ...response,
+              usage: { input_tokens: 10, output_tokens: 5, total_tokens: 15 },
+            },
+          },
+          2000,
+        );
+
+        expect(done).to.deep.equal({
+          responseId: 'resp_1',
+          status: 'completed',
+          trigger: 'input_audio_buffer.speech_stopped',
+          timeToFirstDelta: 250,
+          duration: 1000,
+          usage: { inputTokens: 10, outputTokens: 5, totalTokens: 15 },
+        });
+        const { session } = metrics.getMetrics();
+        expect(session.responseCount).to.equal(1);
+        expect(session.timeToFirstDelta).to.deep.equal({
+          count: 1,
+          average: 250,
+          min: 250,
+          max: 250,
+        });
+        expect(session.usage.totalTokens).to.equal(15);
+      });
+
+      it('Should emit "metrics.response" and aggregate per session', async () => {
+        client = new RealtimeClient({ url: server.url, debug });
+        await client.connect();
+        const responses = [];
+        client.on('metrics.response', ({ response }) =>
+          responses.push(response),
+        );
+        for (const text of ['Hello', 'Hello again']) {
+          const answered = waitForAssistantItem();
+          client.sendUserMessageContent([{ type: 'input_text', text }]);
+          await answered;
+          await new Promise((r) => setTimeout(r, 20));
+        }
+        const metrics = client.getMetrics();
+
+        expect(responses.length).to.equal(2);
+        expect(responses[0].trigger).to.equal('response.create');
+        expect(responses[0].timeToFirstDelta).to.be.at.least(0);
+        expect(responses[0].duration).to.be.at.least(
+          responses[0].timeToFirstDelta,
+        );
+        expect(responses[0].usage.totalTokens).to.be.greaterThan(0);
+        expect(metrics.responses).to.deep.equal(responses);
+        expect(metrics.session.responseCount).to.equal(2);
+        expect(metrics.session.usage.totalTokens).to.equal(
+          responses[0].usage.totalTokens + responses[1].usage.totalTokens,
+        );
+      });
+    });
+
+    describe('Waiting for events', () => {
+      it('Should wait for session.created and the next item', async () => {
+        client = new RealtimeClient({ url: server.url, debug });
+        await client.connect();
+        await client.waitForSessionCreated({ timeout: 1000 });
+        const waiting = client.waitForNextItem({
+          predicate: ({ item }) => item.role === 'user',
+          timeout: 1000,
+        });
+        client.sendUserMessageContent([{ type: 'input_text', text: 'Hi' }]);
+        const { item } = await waiting;
+
+        expect(client.sessionCreated).to.equal(true);
+        expect(item.formatted.text).to.equal('Hi');
+      });
+
+      it('Should reject pending waits when the connection closes', async () => {
+        client = new RealtimeClient({ url: server.url, debug });
+        await client.connect();
+        const waitingItem = client.waitForNextCompletedItem();
+        const waitingEvent = client.realtime.waitForNext(
+          'server.response.done',
+          {
+            timeout: 1000,
+          },
+        );
+        client.disconnect();
+
+        const errors = await Promise.all(
+          [waitingItem, waitingEvent].map((waiting) => waiting.catch((e) => e)),
+        );
+        expect(errors[0]).to.be.instanceOf(RealtimeConnectionClosedError);
+        expect(errors[1]).to.be.instanceOf(RealtimeConnectionClosedError);
+      });
+    });
+
+    describe('Streaming responses', () => {
+      it('Should stream deltas of the next response until it is done', async () => {
+        client = new RealtimeClient({ url: server.url, debug });
+        await client.connect();
+        const deltas = [];
+        const streaming = (async () => {
+          for await (const delta of client.streamResponse()) {
+            deltas.push(delta);
+          }
+        })();
+        client.sendUserMessageContent([{ type: 'input_text', text: 'Hello' }]);
+        await streaming;
+        const item = deltas[0].item;
+        const transcript = deltas
+          .filter((delta) => delta.type === 'transcript')
+          .map((delta) => delta.delta)
+          .join('');
+        const samples = deltas
+          .filter((delta) => delta.type === 'audio')
+          .reduce((sum, delta) => sum + delta.delta.length, 0);
+
+        expect(item.role).to.equal('assistant');
+        expect(deltas.every((delta) => delta.item === item)).to.equal(true);
+        expect(transcript).to.equal(item.formatted.transcript);
+        expect(samples).to.equal(item.formatted.audio.length);
+        expect(deltas[0].responseId).to.be.a('string');
+        expect(client.realtime.eventHandlers['server.response.*']).to.equal(
+          void 0,
+        );
+      });
+    });
+
+    describe('Response lifecycle', () => {
+      it('Should track completed responses', async () => {
+        client = new RealtimeClient({ url: server.url, debug });
+        await client.connect();
+        const completed = new Promise((r) =>
+          client.on('response.completed', r),
+        );
+        client.sendUserMessageContent([{ type: 'input_text', text: 'Hello' }]);
+        const { response } = await completed;
+        const item = client.conversation.getItem(response.output[0]);
+
+        expect(response.status).to.equal('completed');
+        expect(response.usage.total_tokens).to.be.greaterThan(0);
+        expect(client.conversation.getResponses()).to.deep.equal([response]);
+        expect(client.conversation.getResponse(response.id)).to.equal(response);
+        expect(item.role).to.equal('assistant');
+        expect(item.status).to.equal('completed');
+      });
+
+      it('Should dispatch "response.cancelled" for cancelled responses', async () => {
+        const slowServer = new RealtimeMockServer({ delay: 20 });
+        await slowServer.listen();
+        client = new RealtimeClient({ url: slowServer.url, debug });
+        await client.connect();
+        const cancelled = new Promise((r) =>
+          client.on('response.cancelled', r),
+        );
+        client.realtime.onNext('server.response.output_item.added', () =>
+          client.cancelResponse(),
+        );
+        client.sendUserMessageContent([{ type: 'input_text', text: 'Hello' }]);
+        const { response } = await cancelled;
+        const item = client.conversation.getItem(response.output[0]);
+        client.disconnect();
+        await slowServer.close();
+
+        expect(response.status_details.reason).to.equal('client_cancelled');
+        expect(item.status).to.equal('incomplete');
+      });
+
+      it('Should reconcile streamed content with ".done" events', () => {
+        const conversation = new RealtimeConversation();
+        const ids = { event_id: 'evt_1', response_id: 'resp_1' };
+        const partIds = { ...ids, item_id: 'item_1', content_index: 0 };
+        conversation.processEvent({
+          ...ids,
+          type: 'conversation.item.created',
+          item: {
+            id: 'item_1',
+            type: 'message',
+            role: 'assistant',
+            content: [],
+          },
+        });
+        conversation.processEvent({
+          ...partIds,
+          type: 'response.content_part.added',
+          part: { type: 'text', text: '' },
+        });
+        conversation.processEvent({
+          ...partIds,
+          type: 'response.text.delta',
+          delta: 'Hel',
+        });
+        const { item } = conversation.processEvent({
+          ...partIds,
+          type: 'response.text.done',
+          text: 'Hello',
+        });
+
+        expect(item.formatted.text).to.equal('Hello');
+        expect(item.content[0].text).to.equal('Hello');
+
+        conversation.processEvent({
+          ...ids,
+          type: 'response.done',
+          response: {
+            id: 'resp_1',
+            status: 'incomplete',
+            status_details: { type: 'incomplete', reason: 'max_output_tokens' },
+            output: [{ id: 'item_1', status: 'incomplete' }],
+            usage: { total_tokens: 3, input_tokens: 1, output_tokens: 2 },
+          },
+        });
+        expect(conversation.getResponse('resp_1').output).to.deep.equal([
+          'item_1',
+        ]);
+        expect(conversation.getResponse('resp_1').usage.total_tokens).to.equal(
+          3,
+        );
+        expect(item.status).to.equal('incomplete');
+      });
+    });
+
+    describe('Conversation snapshots', () => {
+      it('Should round-trip a conversation through JSON', async () => {
+        client = new RealtimeClient({ url: server.url, debug });
+        await client.connect();
+        const answered = waitForAssistantItem();
+        client.sendUserMessageContent([{ type: 'input_text', text: 'Hello' }]);
+        const assistantItem = await answered;
+        assistantItem.formatted.audio = new Int16Array([1, -2, 3]);
+        const conversation = client.conversation;
+
+        const omitted = JSON.parse(JSON.stringify(conversation));
+        expect(omitted.version).to.equal(1);
+        expect(omitted.items.length).to.equal(2);
+        expect(omitted.items[1].formatted.audio).to.equal(void 0);
+        expect(omitted.responses.length).to.equal(1);
+
+        const restored = RealtimeConversation.fromJSON(
+          JSON.stringify(conversation.toJSON({ audio: 'base64' })),
+        );
+        const restoredItem = restored.getItem(assistantItem.id);
+        expect(restored.getItems().map((item) => item.id)).to.deep.equal(
+          conversation.getItems().map((item) => item.id),
+        );
+        expect(restoredItem.formatted.text).to.equal(
+          assistantItem.formatted.text,
+        );
+        expect(restoredItem.formatted.audio).to.deep.equal(
+          assistantItem.formatted.audio,
+        );
+        expect(restored.getResponses()).to.deep.equal(
+          conversation.getResponses(),
+        );
+
+        const stored = {};
+        const snapshot = conversation.toJSON({
+          audio: (item) => {
+            stored[item.id] = item.formatted.audio;
+            return `audio/${item.id}.pcm`;
+          },
+        });
+        const referenced = RealtimeConversation.fromJSON(snapshot, {
+          loadAudio: (reference, item) => stored[item.id],
+        });
+        expect(
+          snapshot.items.find((item) => item.id === assistantItem.id).formatted
+            .audio_reference,
+        ).to.equal(`audio/${assistantItem.id}.pcm`);
+        expect(
+          referenced.getItem(assistantItem.id).formatted.audio,
+        ).to.deep.equal(assistantItem.formatted.audio);
+        expect(() =>
+          RealtimeConversation.fromJSON({ ...snapshot, version: 2 }),
+        ).to.throw('Unsupported conversation snapshot version');
+      });
+
+      it('Should restore a conversation on a fresh session', async () => {
+        client = new RealtimeClient({ url: server.url, debug });
+        await client.connect();
+        const answered = waitForAssistantItem();
+        client.sendUserMessageContent([{ type: 'input_text', text: 'Hello' }]);
+        await answered;
+        const snapshot = JSON.stringify(client.conversation);
+        const ids = client.conversation.getItems().map((item) => item.id);
+        client.disconnect();
+
+        await client.connect();
+        const appended = [];
+        client.on('conversation.item.appended', ({ item }) =>
+          appended.push(item),
+        );
+        const created = client.realtime.events(
+          'server.conversation.item.created',
+        );
+        client.restoreConversation(snapshot);
+        const createdIds = [];
+        for await (const event of created) {
+          createdIds.push(event.item.id);
+          if (createdIds.length === ids.length) {
+            break;
+          }
+        }
+
+        expect(createdIds).to.deep.equal(ids);
+        expect(
+          client.conversation.getItems().map((item) => item.id),
+        ).to.deep.equal(ids);
+        expect(client.conversation.getItem(ids[1]).formatted.text).to.equal(
+          'You said: Hello',
+        );
+        expect(appended).to.deep.equal([]);
+      });
+
+      it('Should restore audio-only turns and drop items it can not recreate', async () => {
+        const conversation = new RealtimeConversation();
+        for (const [id, role, type] of [
+          ['item_user', 'user', 'input_audio'],
+          ['item_assistant', 'assistant', 'audio'],
+        ]) {
+          conversation.processEvent({
+            event_id: `event_${id}`,
+            type: 'conversation.item.created',
+            item: { id, type: 'message', role, content: [{ type }] },
+          });
+          conversation.getItem(id).status = 'completed';
+          conversation.getItem(id).formatted.audio = new Int16Array([1, 2, 3]);
+        }
+        const snapshot = conversation.toJSON({ audio: 'base64' });
+
+        client = new RealtimeClient({ url: server.url, debug });
+        await client.connect();
+        const dropped = [];
+        client.on('conversation.item.dropped', ({ item }) =>
+          dropped.push(item.id),
+        );
+        const created = client.realtime.waitForNext(
+          'server.conversation.item.created',
+        );
+        const receivedCount = server.receivedEvents.length;
+        client.restoreConversation(snapshot);
+        await created;
+
+        const itemCreates = server.receivedEvents
+          .slice(receivedCount)
+          .filter((event) => event.type === 'conversation.item.create');
+        expect(itemCreates.length).to.equal(1);
+        expect(itemCreates[0].item.id).to.equal('item_user');
+        expect(itemCreates[0].item.content).to.deep.equal([
+          {
+            type: 'input_audio',
+            audio: RealtimeUtils.arrayBufferToBase64(new Int16Array([1, 2, 3])),
+          },
+        ]);
+        expect(dropped).to.deep.equal(['item_assistant']);
+        expect(
+          client.conversation.getItems().map((item) => item.id),
+        ).to.deep.equal(['item_user']);
+      });
+    });
+
+    describe('Item ordering', () => {
+      const createdItem = () =>
+        client.waitForNextItem({
+          predicate: ({ item }) => item.role === 'system',
+        });
+
+      it('Should insert items after previous_item_id', async () => {
+        client = new RealtimeClient({ url: server.url, debug });
+        await client.connect();
+        const answered = waitForAssistantItem();
+        client.sendUserMessageContent([{ type: 'input_text', text: 'Hello' }]);
+        const assistantItem = await answered;
+        const [userItem] = client.conversation.getItems();
+
+        let created = createdItem();
+        client.createItem(
+          {
+            type: 'message',
+            role: 'system',
+            content: [{ type: 'input_text', text: 'Be brief' }],
+          },
+          { previousItemId: null },
+        );
+        const { item: headItem } = await created;
+        created = createdItem();
+        client.createItem(
+          {
+            type: 'message',
+            role: 'system',
+            content: [{ type: 'input_text', text: 'Use French' }],
+          },
+          { previousItemId: userItem.id },
+        );
+        const { item: middleItem } = await created;
+
+        const conversation = client.conversation;
+        expect(conversation.getItems().map((item) => item.id)).to.deep.equal([
+          headItem.id,
+          userItem.id,
+          middleItem.id,
+          assistantItem.id,
+        ]);
+        expect(conversation.getItemIndex(middleItem.id)).to.equal(2);
+        expect(conversation.getItemIndex('missing')).to.equal(-1);
+        expect(conversation.getPreviousItem(userItem.id)).to.equal(headItem);
+        expect(conversation.getPreviousItem(headItem.id)).to.equal(null);
+        expect(conversation.getNextItem(middleItem.id)).to.equal(assistantItem);
+        expect(conversation.getNextItem(assistantItem.id)).to.equal(null);
+      });
+
+      it('Should place new session items after carried over items', () => {
+        const conversation = new RealtimeConversation();
+        conversation.restore({
+          version: 1,
+          items: [
+            {
+              id: 'item_old',
+              type: 'message',
+              role: 'user',
+              status: 'completed',
+              content: [{ type: 'input_text', text: 'Earlier' }],
+              formatted: { text: 'Earlier' },
+            },
+          ],
+          responses: [],
+        });
+        const create = (id, previous_item_id) =>
+          conversation.processEvent({
+            event_id: `event_${id}`,
+            type: 'conversation.item.created',
+            previous_item_id,
+            item: {
+              id,
+              type: 'message',
+              role: 'user',
+              content: [{ type: 'input_text', text: id }],
+            },
+          });
+        create('item_1', null);
+        create('item_2', null);
+        create('item_3', 'item_1');
+        expect(conversation.getItems().map((item) => item.id)).to.deep.equal([
+          'item_old',
+          'item_2',
+          'item_1',
+          'item_3',
+        ]);
+        conversation.processEvent({
+          event_id: 'event_delete',
+          type: 'conversation.item.deleted',
+          item_id: 'item_old',
+        });
+        create('item_4', null);
+        expect(conversation.getItems()[0].id).to.equal('item_4');
+      });
+    });
+
+    describe('Retention', () => {
+      it('Should delete the oldest items on the server', async () => {
+        client = new RealtimeClient({
+          url: server.url,
+          debug,
+          retention: { maxItems: 2 },
+        });
+        await client.connect();
+        const pruned = [];
+        client.on('conversation.pruned', ({ deleted }) =>
+          pruned.push(...deleted.map((item) => item.id)),
+        );
+        let answered = waitForAssistantItem();
+        client.sendUserMessageContent([{ type: 'input_text', text: 'Hello' }]);
+        const firstAssistant = await answered;
+        const firstUser = client.conversation.getPreviousItem(
+          firstAssistant.id,
+        );
+        expect(pruned).to.deep.equal([]);
+
+        answered = waitForAssistantItem();
+        const deleted = client.realtime.waitForNext(
+          'server.conversation.item.deleted',
+          {
+            predicate: (event) => event.item_id === firstAssistant.id,
+            timeout: 1000,
+          },
+        );
+        client.sendUserMessageContent([{ type: 'input_text', text: 'Again' }]);
+        const secondAssistant = await answered;
+        await deleted;
+
+        expect(pruned).to.deep.equal([firstUser.id, firstAssistant.id]);
+        expect(client.conversation.getItems().length).to.equal(2);
+        expect(client.conversation.getItems()[1]).to.equal(secondAssistant);
+      });
+    });
+
+    describe('Forking', () => {
+      const answer = async (text) => {
+        const answered = waitForAssistantItem();
+        client.sendUserMessageContent([{ type: 'input_text', text }]);
+        return answered;
+      };
+
+      it('Should create detached conversation snapshots', async () => {
+        client = new RealtimeClient({ url: server.url, debug });
+        await client.connect();
+        const firstAssistant = await answer('Hello');
+        firstAssistant.formatted.audio = new Int16Array([1, 2, 3]);
+        await answer('Again');
+        const conversation = client.conversation;
+
+        const copy = conversation.snapshot();
+        expect(copy).to.not.equal(conversation);
+        expect(copy.getItems().length).to.equal(4);
+        const copiedItem = copy.getItem(firstAssistant.id);
+        expect(copiedItem).to.not.equal(firstAssistant);
+        expect(copiedItem.formatted.audio).to.deep.equal(
+          firstAssistant.formatted.audio,
+        );
+        copiedItem.formatted.audio[0] = 100;
+        copiedItem.formatted.text = 'Changed';
+        expect(firstAssistant.formatted.audio[0]).to.equal(1);
+        expect(firstAssistant.formatted.text).to.equal('You said: Hello');
+
+        const branch = conversation.snapshot({
+          untilItemId: firstAssistant.id,
+        });
+        expect(branch.getItems().map((item) => item.id)).to.deep.equal(
+          conversation
+            .getItems()
+            .slice(0, 2)
+            .map((item) => item.id),
+        );
+        expect(branch.getResponses().length).to.equal(1);
+        expect(() =>
+          conversation.snapshot({ untilItemId: 'missing' }),
+        ).to.throw('Item "missing" not found');
+      });
+
+      it('Should fork a new session from an item', async () => {
+        client = new RealtimeClient({ url: server.url, debug });
+        client.addTool({ name: 'lookup', parameters: {} }, () => ({}));
+        client.updateSession({ instructions: 'Be brief' });
+        await client.connect();
+        const firstAssistant = await answer('Hello');
+        await answer('Again');
+        const ids = client.conversation.getItems().map((item) => item.id);
+
+        const fork = await client.forkFrom(firstAssistant.id);
+        try {
+          const created = [];
+          for await (const event of fork.realtime.events(
+            'server.conversation.item.created',
+          )) {
+            created.push(event);
+            if (created.length === 2) {
+              break;
+            }
+          }
+          expect(created.map((event) => event.item.id)).to.deep.equal(
+            ids.slice(0, 2),
+          );
+          expect(created[1].previous_item_id).to.equal(ids[0]);
+          expect(fork).to.not.equal(client);
+          expect(fork.isConnected()).to.equal(true);
+          expect(fork.tools.lookup).to.exist;
+          expect(fork.sessionConfig.instructions).to.equal('Be brief');
+          expect(
+            fork.conversation.getItems().map((item) => item.id),
+          ).to.deep.equal(ids.slice(0, 2));
+          expect(
+            client.conversation.getItems().map((item) => item.id),
+          ).to.deep.equal(ids);
+
+          const answered = fork.waitForNextCompletedItem({
+            predicate: ({ item }) => item.role === 'assistant',
+          });
+          fork.sendUserMessageContent([{ type: 'input_text', text: 'Branch' }]);
+          await answered;
+          expect(fork.conversation.getItems().length).to.equal(4);
+          expect(client.conversation.getItems().length).to.equal(4);
+          expect(client.conversation.getItem(ids[3]).formatted.text).to.equal(
+            'You said: Again',
+          );
+        } finally {
+          fork.disconnect();
+        }
+      });
+
+      it('Should fork audio-only user turns', async () => {
+        client = new RealtimeClient({ url: server.url, debug });
+        await client.connect();
+        const speech = new Int16Array(2400).fill(1000);
+        const committed = client.waitForNextItem();
+        client.appendInputAudio(speech);
+        client.realtime.send('input_audio_buffer.commit');
+        const { item: userItem } = await committed;
+        userItem.formatted.audio = speech;
+        const answered = waitForAssistantItem();
+        client.createResponse();
+        const assistantItem = await answered;
+        expect(userItem.formatted.transcript).to.equal('');
+
+        const receivedCount = server.receivedEvents.length;
+        const fork = await client.forkFrom(assistantItem.id);
+        try {
+          await fork.realtime.waitForNext('server.conversation.item.created', {
+            predicate: (event) => event.item.id === assistantItem.id,
+            timeout: 1000,
+          });
+          const itemCreates = server.receivedEvents
+            .slice(receivedCount)
+            .filter((event) => event.type === 'conversation.item.create');
+          expect(itemCreates.map((event) => event.item.id)).to.deep.equal([
+            userItem.id,
+            assistantItem.id,
+          ]);
+          const [content] = itemCreates[0].item.content;
+          expect(content.type).to.equal('input_audio');
+          expect(
+            new Int16Array(RealtimeUtils.base64ToArrayBuffer(content.audio)),
+          ).to.deep.equal(userItem.formatted.audio);
+          expect(
+            fork.conversation.getItems().map((item) => item.id),
+          ).to.deep.equal([userItem.id, assistantItem.id]);
+        } finally {
+          fork.disconnect();
+        }
+      });
+
+      it('Should require a new transport to fork from a transport instance', async () => {
+        client = new RealtimeClient({
+          url: server.url,
+          transport: new RealtimeWebSocketTransport(),
+          debug,
+        });
+        await client.connect();
+        const firstAssistant = await answer('Hello');
+        try {
+          await client.forkFrom(firstAssistant.id);
+          throw new Error('Fork should have thrown');
+        } catch (e) {
+          expect(e.message).to.contain('provide a new "transport"');
+        }
+
+        const fork = await client.forkFrom(firstAssistant.id, {
+          transport: new RealtimeWebSocketTransport(),
+        });
+        fork.disconnect();
+        expect(client.isConnected()).to.equal(true);
+        const secondAssistant = await answer('Still here');
+        expect(secondAssistant.formatted.text).to.equal('You said: Still here');
+        expect(client.conversation.getItems().length).to.equal(4);
+      });
+    });
+
+    describe('Input audio transcription', () => {
+      /**
+       * Speaks to a mock server in server VAD mode and waits for the user item
+       */
+      const speak = async (transcriber, model) => {
+        const transcriptionServer = new RealtimeMockServer({ transcriber });
+        await transcriptionServer.listen();
+        client = new RealtimeClient({ url: transcriptionServer.url, debug });
+        client.updateSession({
+          turn_detection: { type: 'server_vad', threshold: 0.5 },
+          input_audio_transcription: { model },
+        });
+        await client.connect();
+        const events = [];
+        client.on('conversation.updated', ({ item, delta }) =>
+          events.push({ role: item.role, delta }),
+        );
+        const answered = waitForAssistantItem();
+        client.appendInputAudio(new Int16Array(2400).fill(30_000));
+        client.appendInputAudio(new Int16Array(7200).fill(0));
+        await answered;
+        client.disconnect();
+        await transcriptionServer.close();
+        return events.filter((event) => event.role === 'user');
+      };
+
+      it('Should stream partial user transcripts', async () => {
+        const transcript = 'Hello from the microphone';
+        const events = await speak(() => transcript, 'gpt-4o-transcribe');
+        const deltas = events
+          .map((event) => event.delta?.transcript)
+          .filter((delta) => delta !== void 0);
+        expect(deltas.join('')).to.equal(transcript);
+        expect(deltas.length).to.be.greaterThan(1);
+      });
+
+      it('Should keep the transcript of whisper-1 as a single delta', async () => {
+        const events = await speak(() => 'Hello', 'whisper-1');
+        expect(
+          events.filter((event) => event.delta).map((event) => event.delta),
+        ).to.deep.equal([{ transcript: 'Hello' }]);
+      });
+
+      it('Should report failed transcriptions', async () => {
+        const failures = [];
+        const transcriptionServer = new RealtimeMockServer({
+          transcriber: () => {
+            throw new Error('Could not transcribe');
+          },
+        });
+        await transcriptionServer.listen();
+        client = new RealtimeClient({ url: transcriptionServer.url, debug });
+        client.updateSession({
+          turn_detection: { type: 'server_vad', threshold: 0.5 },
+          input_audio_transcription: { model: 'whisper-1' },
+        });
+        client.on('conversation.item.transcription_failed', (event) =>
+          failures.push(event),
+        );
+        await client.connect();
+        const answered = waitForAssistantItem();
+        client.appendInputAudio(new Int16Array(2400).fill(30_000));
+        client.appendInputAudio(new Int16Array(7200).fill(0));
+        await answered;
+        await transcriptionServer.close();
+
+        expect(failures.length).to.equal(1);
+        const [{ item, itemId, error }] = failures;
+        expect(item.id).to.equal(itemId);
+        expect(error.message).to.equal('Could not transcribe');
+        expect(item.formatted.transcriptionError).to.deep.equal(error);
+        expect(item.formatted.transcript).to.equal('');
+      });
+    });
+
+    describe('Audio storage', () => {
+      const speech = new Int16Array(24_000).map((_, i) => i % 100);
+
+      it('Should store streamed audio in chunks', async () => {
+        client = new RealtimeClient({ url: server.url, debug });
+        await client.connect();
+        server.queueResponse({ audio: speech, transcript: 'Hello there' });
+        const answered = waitForAssistantItem();
+        client.createResponse();
+        const item = await answered;
+        expect(item.formatted.audioBuffer.chunks.length).to.be.greaterThan(1);
+        expect(item.formatted.audio).to.deep.equal(speech);
+        expect(item.formatted.audioBuffer.chunks.length).to.equal(1);
+      });
+
+      it('Should not merge audio chunks to apply retention limits', async () => {
+        client = new RealtimeClient({
+          url: server.url,
+          debug,
+          retention: { maxTokens: 1_000_000, maxAudioSeconds: 60 },
+        });
+        await client.connect();
+        server.queueResponse({ audio: speech, transcript: 'Hello there' });
+        const done = new Promise((r) =>
+          client.realtime.on('server.response.done', r),
+        );
+        client.createResponse();
+        await done;
+        const [item] = client.conversation.getItems();
+        expect(item.formatted.audioBuffer.chunks.length).to.be.greaterThan(1);
+        expect(client.conversation.estimateTokens(item)).to.be.greaterThan(0);
+        expect(item.formatted.audioBuffer.chunks.length).to.be.greaterThan(1);
+      });
+
+      it('Should only stream audio when it is not retained', async () => {
+        client = new RealtimeClient({
+          url: server.url,
+          debug,
+          retainAudio: false,
+        });
+        await client.connect();
+        server.queueResponse({ audio: speech, transcript: 'Hello there' });
+        let streamed = 0;
+        client.on('conversation.updated', ({ delta }) => {
+          streamed += delta?.audio ? delta.audio.length : 0;
+        });
+        const answered = waitForAssistantItem();
+        client.createResponse();
+        const item = await answered;
+        expect(streamed).to.equal(speech.length);
+        expect(item.formatted.audio.length).to.equal(0);
+        expect(item.formatted.transcript).to.equal('Hello there');
+      });
+    });
+
+    describe('Conversation queries', () => {
+      it('Should filter conversation items', async () => {
+        client = new RealtimeClient({ url: server.url, debug });
+        client.addTool({ name: 'lookup', parameters: {} }, () => ({
+          temperature: 20,
+        }));
+        await client.connect();
+        server.queueResponse({
+          functionCall: { name: 'lookup', arguments: { city: 'Paris' } },
+        });
+        server.queueResponse({ text: 'It is 20 degrees in Paris' });
+        const answered = waitForAssistantItem();
+        client.sendUserMessageContent([
+          { type: 'input_text', text: 'Weather in Paris?' },
+        ]);
+        const answer = await answered;
+        const conversation = client.conversation;
+        const [userItem, callItem, outputItem] = conversation.getItems();
+        const [firstResponse, secondResponse] = conversation.getResponses();
+
+        expect(conversation.query()).to.deep.equal(conversation.getItems());
+        expect(conversation.query({ role: 'user' })).to.deep.equal([userItem]);
+        expect(
+          conversation.query({
+            type: ['function_call', 'function_call_output'],
+          }),
+        ).to.deep.equal([callItem, outputItem]);
+        expect(conversation.query({ toolName: 'lookup' })).to.deep.equal([
+          callItem,
+          outputItem,
+        ]);
+        expect(conversation.query({ toolName: 'other' })).to.deep.equal([]);
+        expect(
+          conversation.query({ status: 'completed', limit: 2 }),
+        ).to.deep.equal([outputItem, answer]);
+        expect(conversation.query({ text: 'PARIS' })).to.deep.equal([
+          userItem,
+          answer,
+        ]);
+        // Global expressions match again on the next query
+        const degrees = /\d+ degrees/g;
+        for (let i = 0; i < 2; i++) {
+          expect(
+            conversation.query({ text: degrees, role: 'assistant' }),
+          ).to.deep.equal([answer]);
+        }
+        expect(conversation.query({ responseId: 'missing' })).to.deep.equal([]);
+        expect(
+          conversation.getItemsForResponse(firstResponse.id),
+        ).to.deep.equal([callItem]);
+        expect(
+          conversation.getItemsForResponse(secondResponse.id),
+        ).to.deep.equal([answer]);
+        expect(conversation.getLastAssistantMessage()).to.equal(answer);
+        expect(conversation.getPendingToolCalls()).to.deep.equal([]);
+      });
+    });
+  });
+}
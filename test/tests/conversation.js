@@ -0,0 +1,263 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+
+import { RealtimeConversation, RealtimeUtils } from '../../index.js';
+
+/**
+ * Processes a server event, filling in its event_id
+ */
+function receive(conversation, type, payload = {}, ...args) {
+  return conversation.processEvent(
+    { event_id: RealtimeUtils.generateId('event_'), type, ...payload },
+    ...args,
+  );
+}
+
+/**
+ * A user turn detected by server VAD followed by a spoken answer
+ */
+function createSpokenConversation() {
+  const conversation = new RealtimeConversation();
+  receive(conversation, 'input_audio_buffer.speech_started', {
+    item_id: 'item_1',
+    audio_start_ms: 500,
+  });
+  receive(
+    conversation,
+    'input_audio_buffer.speech_stopped',
+    { item_id: 'item_1', audio_end_ms: 2000 },
+    new Int16Array(24_000 * 3).fill(100),
+  );
+  receive(conversation, 'conversation.item.created', {
+    item: {
+      id: 'item_1',
+      type: 'message',
+      role: 'user',
+      content: [{ type: 'input_audio', transcript: null }],
+    },
+  });
+  receive(conversation, 'conversation.item.created', {
+    item: {
+      id: 'item_2',
+      type: 'message',
+      role: 'assistant',
+      content: [{ type: 'audio', transcript: 'It is 20 degrees.' }],
+    },
+  });
+  conversation.getItem('item_2').formatted.audio = new Int16Array(36_000).fill(
+    -200,
+  );
+  return conversation;
+}
+
+/**
+ * A user message, an answered tool call and an unanswered one
+ */
+function createToolConversation() {
+  const conversation = new RealtimeConversation();
+  const items = [
+    { id: 'item_1', type: 'message', role: 'user', content: [] },
+    { id: 'item_2', type: 'function_call', call_id: 'call_1' },
+    { id: 'item_3', type: 'message', role: 'user', content: [] },
+    { id: 'item_4', type: 'function_call_output', call_id: 'call_1' },
+    { id: 'item_5', type: 'function_call', call_id: 'call_2' },
+  ];
+  for (const item of items) {
+    receive(conversation, 'conversation.item.created', {
+      item: { name: 'lookup', arguments: '{}', output: '{}', ...item },
+    });
+    conversation.getItem(item.id).status = 'completed';
+  }
+  return conversation;
+}
+
+export async function run({ debug = false } = {}) {
+  describe('RealtimeConversation', () => {
+    describe('Audio export', () => {
+      it('Should concatenate item audio in mono', () => {
+        const audio = createSpokenConversation().getAudio();
+        expect(audio.length).to.equal(72_000);
+        expect(audio[0]).to.equal(100);
+        expect(audio[36_000]).to.equal(-200);
+      });
+
+      it('Should place user and assistant audio on the stereo timeline', () => {
+        const audio = createSpokenConversation().getAudio({ channels: 2 });
+        // Assistant audio starts after the user stopped speaking at 2000ms
+        expect(audio.length).to.equal(84_000 * 2);
+        expect([audio[0], audio[1]]).to.deep.equal([0, 0]);
+        expect([audio[12_000 * 2], audio[12_000 * 2 + 1]]).to.deep.equal([
+          100, 0,
+        ]);
+        expect([audio[48_000 * 2], audio[48_000 * 2 + 1]]).to.deep.equal([
+          0, -200,
+        ]);
+      });
+
+      it('Should export truncated audio as WAV', () => {
+        const conversation = createSpokenConversation();
+        receive(conversation, 'conversation.item.truncated', {
+          item_id: 'item_2',
+          content_index: 0,
+          audio_end_ms: 500,
+        });
+        const wav = RealtimeUtils.decodeWAV(
+          conversation.toWAV({ channels: 2 }),
+        );
+        expect(wav.sampleRate).to.equal(24_000);
+        expect(wav.channels).to.equal(2);
+        expect(wav.audio.length).to.equal((48_000 + 12_000) * 2);
+        expect(() => conversation.getAudio({ channels: 3 })).to.throw(
+          'Invalid "channels"',
+        );
+      });
+    });
+
+    describe('Retention', () => {
+      it('Should prune tool calls together with their outputs', () => {
+        const conversation = createToolConversation();
+        const ids = (items) => items.map((item) => item.id);
+        expect(
+          ids(conversation.getItemsToPrune({ maxItems: 4 })),
+        ).to.deep.equal(['item_1']);
+        expect(
+          ids(conversation.getItemsToPrune({ maxItems: 3 })),
+        ).to.deep.equal(['item_1', 'item_2', 'item_4']);
+        // The last tool call still awaits its output
+        expect(
+          ids(conversation.getItemsToPrune({ maxItems: 0 })),
+        ).to.deep.equal(['item_1', 'item_2', 'item_3', 'item_4']);
+        expect(
+          ids(
+            conversation.getItemsToPrune({ maxItems: 4 }, new Set(['item_1'])),
+          ),
+        ).to.deep.equal([]);
+        const tokens = conversation
+          .getItems()
+          .map((item) => conversation.estimateTokens(item));
+        expect(
+          ids(
+            conversation.getItemsToPrune({
+              maxTokens: tokens[2] + tokens[4],
+            }),
+          ),
+        ).to.deep.equal(['item_1', 'item_2', 'item_4']);
+      });
+
+      it('Should release the oldest audio', () => {
+        const conversation = createToolConversation();
+        conversation.getItem('item_1').formatted.audio = new Int16Array(48_000);
+        conversation.getItem('item_3').formatted.audio = new Int16Array(24_000);
+        const tokens = conversation.estimateTokens(
+          conversation.getItem('item_1'),
+        );
+        const released = conversation.releaseAudio(1.5);
+        expect(released.map((item) => item.id)).to.deep.equal(['item_1']);
+        expect(
+          conversation.estimateTokens(conversation.getItem('item_1')),
+        ).to.equal(tokens);
+        expect(conversation.getItem('item_1').formatted.audio.length).to.equal(
+          0,
+        );
+        expect(conversation.getItem('item_3').formatted.audio.length).to.equal(
+          24_000,
+        );
+      });
+    });
+
+    describe('Input audio transcription', () => {
+      it('Should queue transcription events received before the item', () => {
+        const conversation = new RealtimeConversation();
+        const error = { type: 'transcription_error', message: 'Failed' };
+        receive(
+          conversation,
+          'conversation.item.input_audio_transcription.delta',
+          { item_id: 'item_1', content_index: 0, delta: 'Hel' },
+        );
+        receive(
+          conversation,
+          'conversation.item.input_audio_transcription.failed',
+          { item_id: 'item_2', content_index: 0, error },
+        );
+        for (const id of ['item_1', 'item_2']) {
+          receive(conversation, 'conversation.item.created', {
+            item: {
+              id,
+              type: 'message',
+              role: 'user',
+              content: [{ type: 'input_audio', transcript: null }],
+            },
+          });
+        }
+        expect(conversation.getItem('item_1').formatted.transcript).to.equal(
+          'Hel',
+        );
+        expect(
+          conversation.getItem('item_2').formatted.transcriptionError,
+        ).to.deep.equal(error);
+      });
+
+      it('Should keep transcription deltas received before the item', () => {
+        const conversation = new RealtimeConversation();
+        const transcriptionDelta = (delta) =>
+          receive(
+            conversation,
+            'conversation.item.input_audio_transcription.delta',
+            { item_id: 'item_1', content_index: 0, delta },
+          );
+        transcriptionDelta('Hel');
+        const created = receive(conversation, 'conversation.item.created', {
+          item: {
+            id: 'item_1',
+            type: 'message',
+            role: 'user',
+            content: [{ type: 'input_audio', transcript: null }],
+          },
+        });
+        expect(created.delta).to.deep.equal({ transcript: 'Hel' });
+        expect(created.item.content[0].transcript).to.equal('Hel');
+
+        const { item, delta } = transcriptionDelta('lo');
+        expect(delta).to.deep.equal({ transcript: 'lo' });
+        expect(item.formatted.transcript).to.equal('Hello');
+        const completed = receive(
+          conversation,
+          'conversation.item.input_audio_transcription.completed',
+          { item_id: 'item_1', content_index: 0, transcript: 'Hello!' },
+        );
+        expect(completed.delta).to.deep.equal({ transcript: '!' });
+        expect(item.formatted.transcript).to.equal('Hello!');
+      });
+
+      it('Should accept a null transcript', () => {
+        const conversation = new RealtimeConversation();
+        receive(conversation, 'conversation.item.created', {
+          item: {
+            id: 'item_1',
+            type: 'message',
+            role: 'user',
+            content: [{ type: 'input_audio', transcript: null }],
+          },
+        });
+        const { item, delta } = receive(
+          conversation,
+          'conversation.item.input_audio_transcription.completed',
+          { item_id: 'item_1', content_index: 0, transcript: null },
+        );
+        expect(item.content[0].transcript).to.equal('');
+        expect(item.formatted.transcript).to.equal(' ');
+        expect(delta).to.deep.equal({ transcript: '' });
+      });
+    });
+
+    describe('Queries', () => {
+      it('Should find tool calls awaiting their output', () => {
+        const conversation = createToolConversation();
+        expect(conversation.getLastAssistantMessage()).to.equal(null);
+        expect(
+          conversation.getPendingToolCalls().map((item) => item.id),
+        ).to.deep.equal(['item_5']);
+      });
+    });
+  });
+}
@@ -0,0 +1,152 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+
+import {
+  RealtimeAPI,
+  RealtimeMockServer,
+  RealtimeError,
+  RealtimeInvalidRequestError,
+  RealtimeAuthenticationError,
+  RealtimeTimeoutError,
+} from '../../index.js';
+
+export async function run({ debug = false } = {}) {
+  describe('RealtimeError', () => {
+    let server;
+    let realtime;
+
+    before(async () => {
+      server = new RealtimeMockServer();
+      await server.listen();
+      realtime = new RealtimeAPI({ url: server.url, debug });
+      await realtime.connect();
+    });
+
+    after(async () => {
+      realtime.disconnect();
+      await server.close();
+    });
+
+    it('Should create typed errors from "error" server events', () => {
+      const error = RealtimeError.fromEvent({
+        event_id: 'event_1',
+        type: 'error',
+        error: {
+          type: 'invalid_request_error',
+          code: 'invalid_api_key',
+          message: 'Incorrect API key provided',
+          param: null,
+          event_id: null,
+        },
+      });
+
+      expect(error).to.be.instanceOf(RealtimeAuthenticationError);
+      expect(error).to.be.instanceOf(RealtimeError);
+      expect(error.name).to.equal('RealtimeAuthenticationError');
+      expect(error.code).to.equal('invalid_api_key');
+      expect(error.serverEventId).to.equal('event_1');
+    });
+
+    it('Should correlate server errors with the sent event', async () => {
+      const errorPromise = new Promise((r) => realtime.on('error', r));
+      realtime.send('conversation.item.delete', {
+        event_id: 'evt_delete_1',
+        item_id: 'item_missing',
+      });
+      const error = await errorPromise;
+
+      expect(error).to.be.instanceOf(RealtimeInvalidRequestError);
+      expect(error.eventId).to.equal('evt_delete_1');
+      expect(error.param).to.equal('item_id');
+      expect(error.originatingEvent.type).to.equal('conversation.item.delete');
+    });
+
+    it('Should resolve sendAndWait with the acknowledgement', async () => {
+      const event = await realtime.sendAndWait('conversation.item.create', {
+        item: {
+          type: 'message',
+          role: 'user',
+          content: [{ type: 'input_text', text: 'Hello' }],
+        },
+      });
+      const deleted = await realtime.sendAndWait('conversation.item.delete', {
+        item_id: event.item.id,
+      });
+
+      expect(event.type).to.equal('conversation.item.created');
+      expect(event.item.content[0].text).to.equal('Hello');
+      expect(deleted.item_id).to.equal(event.item.id);
+    });
+
+    it('Should reject sendAndWait with the correlated error', async () => {
+      let err;
+
+      try {
+        await realtime.sendAndWait('conversation.item.truncate', {
+          item_id: 'item_missing',
+          content_index: 0,
+          audio_end_ms: 0,
+        });
+      } catch (e) {
+        err = e;
+      }
+
+      expect(err).to.be.instanceOf(RealtimeInvalidRequestError);
+      expect(err.message).to.contain('item_missing');
+    });
+
+    it('Should reject sendAndWait on timeout', async () => {
+      let err;
+
+      try {
+        await realtime.sendAndWait(
+          'input_audio_buffer.append',
+          { audio: '' },
+          { expect: 'input_audio_buffer.committed', timeout: 50 },
+        );
+      } catch (e) {
+        err = e;
+      }
+
+      expect(err).to.be.instanceOf(RealtimeTimeoutError);
+      expect(err.originatingEvent.type).to.equal('input_audio_buffer.append');
+    });
+
+    it('Should reject sendAndWait when the event can not be sent', async () => {
+      const unhandled = [];
+      const onUnhandled = (reason) => unhandled.push(reason);
+      process.on('unhandledRejection', onUnhandled);
+      const strict = new RealtimeAPI({
+        url: server.url,
+        validate: 'strict',
+        debug,
+      });
+      const errors = [];
+      try {
+        for (const sendAndWait of [
+          () =>
+            new RealtimeAPI().sendAndWait('session.update', { session: {} }),
+          async () => {
+            await strict.connect();
+            return strict.sendAndWait('conversation.item.create', { item: {} });
+          },
+        ]) {
+          try {
+            await sendAndWait();
+          } catch (e) {
+            errors.push(e);
+          }
+        }
+        await new Promise((r) => setTimeout(r, 10));
+      } finally {
+        strict.disconnect();
+        process.off('unhandledRejection', onUnhandled);
+      }
+
+      expect(errors.length).to.equal(2);
+      expect(errors[0].message).to.contain('not connected');
+      expect(errors[1].message).to.contain('item');
+      expect(unhandled).to.deep.equal([]);
+    });
+  });
+}
@@ -0,0 +1,277 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+
+import { RealtimeEventHandler } from '../../lib/event_handler.js';
+import {
+  RealtimeTimeoutError,
+  RealtimeListenerError,
+  RealtimeLogger,
+} from '../../index.js';
+
+export async function run({ debug = false } = {}) {
+  describe('RealtimeEventHandler', () => {
+    let handler;
+
+    beforeEach(() => {
+      handler = new RealtimeEventHandler();
+    });
+
+    it('Should match wildcard patterns', () => {
+      const matches = RealtimeEventHandler.matchesEventName;
+      expect(matches('server.*', 'server.error')).to.equal(true);
+      expect(matches('server.*', 'server.response.audio.delta')).to.equal(true);
+      expect(matches('server.response.*', 'server.response.done')).to.equal(
+        true,
+      );
+      expect(matches('server.response.*', 'server.session.created')).to.equal(
+        false,
+      );
+      expect(matches('server.response.*', 'server.response')).to.equal(false);
+      expect(matches('server.*.done', 'server.response.done')).to.equal(true);
+      expect(matches('server.*.done', 'server.response.audio.done')).to.equal(
+        false,
+      );
+      expect(matches('*', 'error')).to.equal(true);
+      expect(matches('server.error', 'server.error')).to.equal(true);
+    });
+
+    it('Should dispatch to exact and pattern listeners in registration order', () => {
+      const calls = [];
+      handler.on('conversation.item.*', () => calls.push('pattern'));
+      handler.on('conversation.item.created', () => calls.push('exact'));
+      handler.on('*', () => calls.push('all'));
+      handler.onNext('conversation.*', () => calls.push('next'));
+      handler.on('conversation.updated', () => calls.push('other'));
+      handler.dispatch('conversation.item.created', {});
+      handler.dispatch('conversation.item.created', {});
+
+      expect(calls).to.deep.equal([
+        'pattern',
+        'exact',
+        'all',
+        'next',
+        'pattern',
+        'exact',
+        'all',
+      ]);
+    });
+
+    it('Should unsubscribe with the function returned by on()', () => {
+      const calls = [];
+      const callback = () => calls.push(1);
+      const unsubscribe = handler.on('server.*', callback);
+      handler.dispatch('server.error', {});
+      expect(unsubscribe()).to.equal(true);
+      expect(unsubscribe()).to.equal(false);
+      handler.dispatch('server.error', {});
+      expect(calls.length).to.equal(1);
+
+      const offUnsubscribe = handler.on('server.*', callback);
+      handler.off('server.*', offUnsubscribe);
+      handler.on('server.*', callback);
+      handler.off('server.*', callback);
+      handler.dispatch('server.error', {});
+      expect(calls.length).to.equal(1);
+      expect(() => handler.off('server.*', callback)).to.throw(
+        'not found as a listener',
+      );
+    });
+
+    it('Should remove listener groups together', () => {
+      const calls = [];
+      handler.on('client.*', () => calls.push('a'), { group: 'panel' });
+      handler.onNext('server.*', () => calls.push('b'), { group: 'panel' });
+      handler.on('client.*', () => calls.push('c'));
+
+      expect(handler.offGroup('panel')).to.equal(2);
+      handler.dispatch('client.response.create', {});
+      handler.dispatch('server.response.done', {});
+      expect(calls).to.deep.equal(['c']);
+    });
+
+    it('Should detach listeners when the signal aborts', () => {
+      const calls = [];
+      const controller = new AbortController();
+      handler.on('server.*', () => calls.push(1), {
+        signal: controller.signal,
+      });
+      handler.dispatch('server.error', {});
+      controller.abort();
+      handler.dispatch('server.error', {});
+      const unsubscribe = handler.on('server.*', () => calls.push(2), {
+        signal: controller.signal,
+      });
+      handler.dispatch('server.error', {});
+
+      expect(calls).to.deep.equal([1]);
+      expect(unsubscribe()).to.equal(false);
+    });
+
+    describe('waitForNext', () => {
+      it('Should resolve as soon as the event is dispatched', async () => {
+        const t0 = Date.now();
+        const waiting = handler.waitForNext('server.*');
+        setTimeout(() => handler.dispatch('server.error', { id: 1 }), 5);
+        const event = await waiting;
+
+        expect(event).to.deep.equal({ id: 1 });
+        expect(Date.now() - t0).to.be.lessThan(500);
+      });
+
+      it('Should only resolve for events matching the predicate', async () => {
+        const waiting = handler.waitForNext('item', {
+          predicate: (event) => event.id === 'b',
+        });
+        handler.dispatch('item', { id: 'a' });
+        handler.dispatch('item', { id: 'b' });
+
+        expect(await waiting).to.deep.equal({ id: 'b' });
+        expect(handler.eventHandlers).to.deep.equal({});
+      });
+
+      it('Should resolve null on a numeric timeout', async () => {
+        expect(await handler.waitForNext('item', 10)).to.equal(null);
+      });
+
+      it('Should reject on timeout, abort and rejectPendingWaits()', async () => {
+        const controller = new AbortController();
+        const catchError = (waiting) => waiting.catch((e) => e);
+        const timedOut = await catchError(
+          handler.waitForNext('item', { timeout: 10 }),
+        );
+        const aborted = catchError(
+          handler.waitForNext('item', { signal: controller.signal }),
+        );
+        const closed = catchError(handler.waitForNext('item', {}));
+        controller.abort();
+        handler.rejectPendingWaits(new Error('Connection closed'));
+
+        expect(timedOut).to.be.instanceOf(RealtimeTimeoutError);
+        expect((await aborted).name).to.equal('AbortError');
+        expect((await closed).message).to.equal('Connection closed');
+        expect(handler.pendingWaits.size).to.equal(0);
+      });
+    });
+
+    describe('Listener errors', () => {
+      it('Should keep calling listeners and dispatch "error"', () => {
+        const calls = [];
+        const errors = [];
+        const failure = new Error('Oops');
+        handler.on('error', (error) => errors.push(error));
+        handler.on('item', () => {
+          throw failure;
+        });
+        handler.on('item', () => calls.push(1));
+        handler.dispatch('item', {});
+
+        expect(calls).to.deep.equal([1]);
+        expect(errors.length).to.equal(1);
+        expect(errors[0]).to.be.instanceOf(RealtimeListenerError);
+        expect(errors[0].eventName).to.equal('item');
+        expect(errors[0].cause).to.equal(failure);
+      });
+
+      it('Should log errors nobody listens to', async () => {
+        const logs = [];
+        handler.logger = new RealtimeLogger({
+          output: { ...console, error: (...args) => logs.push(args) },
+        });
+        handler.on('item', () => {
+          throw new Error('Oops');
+        });
+        handler.on('item', async () => {
+          throw new Error('Async oops');
+        });
+        handler.on('error', () => {
+          throw new Error('Error listener oops');
+        });
+        handler.dispatch('item', {});
+        await new Promise((r) => setTimeout(r, 0));
+
+        expect(logs.length).to.equal(2);
+        expect(logs[0][1]).to.contain('Listener for "error" failed');
+        handler.off('error');
+        handler.dispatch('item', {});
+        await new Promise((r) => setTimeout(r, 0));
+        expect(logs.length).to.equal(4);
+        expect(logs[2][1]).to.equal('Listener for "item" failed: Oops');
+        expect(logs[3][1]).to.equal('Listener for "item" failed: Async oops');
+      });
+
+      it('Should await async listeners in order with dispatchAsync()', async () => {
+        const calls = [];
+        const errors = [];
+        handler.on('error', (error) => errors.push(error));
+        handler.on('item', async () => {
+          await new Promise((r) => setTimeout(r, 10));
+          calls.push('slow');
+        });
+        handler.on('item', async () => {
+          throw new Error('Oops');
+        });
+        handler.onNext('item', () => calls.push('next'));
+        const done = handler.dispatchAsync('item', {});
+        expect(calls).to.deep.equal([]);
+        expect(await done).to.equal(true);
+
+        expect(calls).to.deep.equal(['slow', 'next']);
+        expect(errors.length).to.equal(1);
+        expect(errors[0].cause.message).to.equal('Oops');
+      });
+    });
+
+    describe('events', () => {
+      it('Should iterate over buffered events until aborted', async () => {
+        const controller = new AbortController();
+        const iterator = handler.events('server.*', {
+          signal: controller.signal,
+        });
+        handler.dispatch('server.a', { id: 1 });
+        handler.dispatch('client.b', { id: 2 });
+        handler.dispatch('server.c', { id: 3 });
+        setTimeout(() => {
+          handler.dispatch('server.d', { id: 4 });
+          controller.abort();
+        }, 5);
+        const events = [];
+        for await (const event of iterator) {
+          events.push(event.id);
+        }
+
+        expect(events).to.deep.equal([1, 3, 4]);
+        expect(handler.eventHandlers).to.deep.equal({});
+      });
+
+      it('Should remove the listener when the loop breaks', async () => {
+        handler.dispatch('item', { id: 0 });
+        setTimeout(() => handler.dispatch('item', { id: 1 }), 0);
+        for await (const event of handler.events('item')) {
+          expect(event.id).to.equal(1);
+          break;
+        }
+
+        expect(handler.eventHandlers).to.deep.equal({});
+        expect(handler.pendingWaits.size).to.equal(0);
+      });
+
+      it('Should throw once pending waits are rejected', async () => {
+        const iterator = handler.events('item');
+        handler.dispatch('item', { id: 1 });
+        handler.rejectPendingWaits(new Error('Connection closed'));
+        const events = [];
+        let err;
+        try {
+          for await (const event of iterator) {
+            events.push(event.id);
+          }
+        } catch (e) {
+          err = e;
+        }
+
+        expect(events).to.deep.equal([1]);
+        expect(err.message).to.equal('Connection closed');
+      });
+    });
+  });
+}
@@ -0,0 +1,105 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+
+import { RealtimeAPI, RealtimeLogger } from '../../index.js';
+
+/**
+ * Console-like output that keeps every call
+ */
+function createOutput() {
+  const output = { calls: [] };
+  for (const level of ['debug', 'info', 'warn', 'error']) {
+    output[level] = (...args) => output.calls.push({ level, args });
+  }
+  return output;
+}
+
+export async function run({ debug = false } = {}) {
+  describe('RealtimeLogger', () => {
+    it('Should redact API keys and authorization headers', () => {
+      const redacted = RealtimeLogger.redact({
+        apiKey: 'sk-abcdefghijklmnop',
+        headers: { Authorization: 'Bearer sk-abcdefghijklmnop' },
+        message: 'Incorrect API key provided: sk-abcdefghijklmnop',
+      });
+      expect(redacted.apiKey).to.equal('[REDACTED]');
+      expect(redacted.headers.Authorization).to.equal('[REDACTED]');
+      expect(redacted.message).to.equal(
+        'Incorrect API key provided: sk-[REDACTED]',
+      );
+    });
+
+    it('Should truncate base64 audio payloads without modifying the event', () => {
+      const audio = 'A'.repeat(1000);
+      const event = { type: 'input_audio_buffer.append', audio };
+      const redacted = RealtimeLogger.redact(event, 8);
+      expect(redacted.audio).to.equal('AAAAAAAA... (1000 chars)');
+      expect(redacted.type).to.equal('input_audio_buffer.append');
+      expect(event.audio).to.equal(audio);
+      expect(
+        RealtimeLogger.redact({ delta: 'Hello there friend' }, 8),
+      ).to.deep.equal({ delta: 'Hello there friend' });
+      expect(RealtimeLogger.redact(new Int16Array(4))).to.equal(
+        '[Int16Array (8 bytes)]',
+      );
+    });
+
+    it('Should only write logs at or above its level', () => {
+      const output = createOutput();
+      const logger = new RealtimeLogger({ level: 'info', output });
+      expect(logger.debug('hidden')).to.equal(false);
+      expect(logger.info('shown')).to.equal(true);
+      expect(logger.error('shown')).to.equal(true);
+      expect(output.calls.map((c) => c.level)).to.deep.equal(['info', 'error']);
+      const silent = new RealtimeLogger({ level: 'silent', output });
+      silent.error('hidden');
+      expect(output.calls.length).to.equal(2);
+      expect(() => new RealtimeLogger({ level: 'verbose' })).to.throw(
+        'Invalid log level',
+      );
+    });
+
+    it('Should write JSON lines with nested namespaces', () => {
+      const output = createOutput();
+      const logger = new RealtimeLogger({ level: 'debug', json: true, output });
+      logger.child('api').debug('sent:', {
+        type: 'session.update',
+        apiKey: 'sk-abcdefghijklmnop',
+      });
+      const line = JSON.parse(output.calls[0].args[0]);
+      expect(line.level).to.equal('debug');
+      expect(line.namespace).to.equal('realtime:api');
+      expect(line.message).to.equal('sent:');
+      expect(line.data).to.deep.equal({
+        type: 'session.update',
+        apiKey: '[REDACTED]',
+      });
+      expect(line.time).to.be.a('string');
+    });
+
+    it('Should be injectable into RealtimeAPI', () => {
+      const output = createOutput();
+      expect(RealtimeLogger.from({ level: 'error' }).level).to.equal('error');
+      expect(RealtimeLogger.from(void 0, { debug: true }).level).to.equal(
+        'debug',
+      );
+      const realtime = new RealtimeAPI({ logger: output, debug: true });
+      expect(realtime.logger.namespace).to.equal('realtime:api');
+      realtime.log('received:', { type: 'session.created' });
+      expect(output.calls.length).to.equal(1);
+      expect(output.calls[0].level).to.equal('debug');
+      expect(output.calls[0].args[0]).to.match(/^\[realtime:api\//);
+      const quiet = new RealtimeAPI();
+      expect(quiet.logger.isEnabled('debug')).to.equal(false);
+      expect(quiet.logger.isEnabled('warn')).to.equal(true);
+    });
+
+    it('Should not send debug logs to a console-like logger by default', () => {
+      const output = createOutput();
+      const realtime = new RealtimeAPI({ logger: output, debug: false });
+      realtime.log('received:', { type: 'session.created' });
+      realtime.logger.warn('shown');
+      expect(output.calls.map((c) => c.level)).to.deep.equal(['warn']);
+    });
+  });
+}
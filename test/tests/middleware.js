@@ -0,0 +1,133 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+
+import { RealtimeAPI, RealtimeError } from '../../index.js';
+
+export async function run({ debug = false } = {}) {
+  describe('RealtimeAPI middleware', () => {
+    let realtime;
+    let sent;
+
+    beforeEach(async () => {
+      sent = [];
+      const transport = {
+        onmessage: null,
+        onclose: null,
+        send: (data) => sent.push(JSON.parse(data)),
+        close: () => transport.onclose && transport.onclose(),
+      };
+      realtime = new RealtimeAPI({ transport, validate: 'strict', debug });
+      await realtime.connect();
+    });
+
+    afterEach(() => {
+      realtime.disconnect();
+    });
+
+    it('Should modify, fan out and drop outgoing events in order', async () => {
+      realtime.useOutgoing(async (event) => {
+        await new Promise((r) =>
+          setTimeout(r, event.type === 'response.create' ? 10 : 0),
+        );
+        if (event.type === 'response.create') {
+          return { ...event, response: { metadata: { user: 'u_1' } } };
+        }
+        return event;
+      });
+      realtime.useOutgoing((event) => {
+        if (event.type === 'input_audio_buffer.clear') {
+          return null;
+        } else if (event.type === 'input_audio_buffer.commit') {
+          return [
+            event,
+            { ...event, type: 'response.create', event_id: 'evt_2' },
+          ];
+        }
+        return event;
+      });
+      const dispatched = [];
+      realtime.on('client.*', (event) => dispatched.push(event.type));
+      realtime.send('response.create');
+      realtime.send('input_audio_buffer.clear');
+      realtime.send('input_audio_buffer.commit');
+      expect(sent).to.deep.equal([]);
+      await realtime.middleware.outgoing.queue;
+
+      expect(sent.map((event) => event.type)).to.deep.equal([
+        'response.create',
+        'input_audio_buffer.commit',
+        'response.create',
+      ]);
+      expect(sent[0].response.metadata).to.deep.equal({ user: 'u_1' });
+      expect(dispatched).to.deep.equal(sent.map((event) => event.type));
+      expect(realtime.getSentEvent(sent[0].event_id)).to.deep.equal(sent[0]);
+    });
+
+    it('Should validate events before outgoing middleware', () => {
+      const seen = [];
+      realtime.useOutgoing((event) => seen.push(event) && event);
+
+      expect(() =>
+        realtime.send('response.create', { response: { voice: 1 } }),
+      ).to.throw('Invalid client event');
+      expect(seen).to.deep.equal([]);
+    });
+
+    it('Should rewrite and drop incoming events before dispatch', async () => {
+      realtime.useIncoming((event) =>
+        event.type === 'ping'
+          ? null
+          : { ...event, type: event.type.replace('compat.', '') },
+      );
+      const received = [];
+      realtime.on('server.*', (event) => received.push(event.type));
+      realtime.receive('ping', { type: 'ping' });
+      realtime.receive('compat.session.created', {
+        type: 'compat.session.created',
+      });
+      await realtime.middleware.incoming.queue;
+
+      expect(received).to.deep.equal(['session.created']);
+    });
+
+    it('Should pass events through when middleware returns undefined', async () => {
+      const seen = [];
+      realtime.useOutgoing((event) => {
+        seen.push(event.type);
+      });
+      realtime.useIncoming(() => {});
+      const received = [];
+      realtime.on('server.*', (event) => received.push(event.type));
+      realtime.send('response.cancel');
+      realtime.receive('session.created', { type: 'session.created' });
+      await realtime.middleware.outgoing.queue;
+      await realtime.middleware.incoming.queue;
+
+      expect(seen).to.deep.equal(['response.cancel']);
+      expect(sent.map((event) => event.type)).to.deep.equal([
+        'response.cancel',
+      ]);
+      expect(received).to.deep.equal(['session.created']);
+    });
+
+    it('Should dispatch middleware failures as "error" events', async () => {
+      const errors = [];
+      realtime.on('error', (error) => errors.push(error));
+      const remove = realtime.useOutgoing(() => {
+        throw new Error('Oops');
+      });
+      realtime.send('response.cancel', { event_id: 'evt_1' });
+      await realtime.middleware.outgoing.queue;
+
+      expect(sent).to.deep.equal([]);
+      expect(errors[0]).to.be.instanceOf(RealtimeError);
+      expect(errors[0].type).to.equal('middleware_error');
+      expect(errors[0].eventId).to.equal('evt_1');
+
+      expect(remove()).to.equal(true);
+      expect(remove()).to.equal(false);
+      realtime.send('response.cancel');
+      expect(sent.length).to.equal(1);
+    });
+  });
+}
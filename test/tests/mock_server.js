@@ -0,0 +1,172 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+
+import { RealtimeClient, RealtimeMockServer } from '../../index.js';
+
+export async function run({ debug = false } = {}) {
+  describe('RealtimeMockServer', () => {
+    let server;
+    let client;
+    let realtimeEvents = [];
+
+    // The mock server answers immediately, so listen before triggering events
+    const collectCompletedItems = (count) => {
+      const items = [];
+      return new Promise((resolve) => {
+        const handler = client.on('conversation.item.completed', ({ item }) => {
+          items.push(item);
+          if (items.length === count) {
+            client.off('conversation.item.completed', handler);
+            resolve(items);
+          }
+        });
+      });
+    };
+
+    before(async () => {
+      server = new RealtimeMockServer({
+        transcriber: () => 'Hello from the microphone',
+      });
+      await server.listen();
+    });
+
+    after(async () => {
+      client && client.isConnected() && client.disconnect();
+      await server.close();
+    });
+
+    it('Should connect a RealtimeClient to the mock server', async () => {
+      client = new RealtimeClient({ url: server.url, debug });
+      client.on('realtime.event', (realtimeEvent) =>
+        realtimeEvents.push(realtimeEvent),
+      );
+      const isConnected = await client.connect();
+      await client.waitForSessionCreated();
+
+      expect(isConnected).to.equal(true);
+      expect(client.isConnected()).to.equal(true);
+    });
+
+    it('Should echo "session.updated"', async () => {
+      client.updateSession({ instructions: 'Be brief' });
+      const event = await client.realtime.waitForNext(
+        'server.session.updated',
+        1000,
+      );
+
+      expect(event).to.exist;
+      expect(event.session.instructions).to.equal('Be brief');
+    });
+
+    it('Should stream a scripted text response', async function () {
+      this.timeout(5_000);
+
+      server.queueResponse({ text: 'Hi there, how can I help?' });
+      const completed = collectCompletedItems(2);
+      client.sendUserMessageContent([{ type: 'input_text', text: 'Hello' }]);
+
+      const [userItem, item] = await completed;
+
+      expect(userItem.role).to.equal('user');
+      expect(userItem.formatted.text).to.equal('Hello');
+      expect(item.role).to.equal('assistant');
+      expect(item.status).to.equal('completed');
+      expect(item.formatted.text).to.equal('Hi there, how can I help?');
+    });
+
+    it('Should stream scripted audio with a transcript', async function () {
+      this.timeout(5_000);
+
+      const audio = new Int16Array(4800).fill(1000);
+      server.queueResponse({ audio, transcript: 'Audio answer' });
+      const completed = collectCompletedItems(1);
+      client.createResponse();
+
+      const [item] = await completed;
+
+      expect(item.formatted.audio.length).to.equal(4800);
+      expect(item.formatted.transcript).to.equal('Audio answer');
+    });
+
+    it('Should stream a function call and call the tool', async function () {
+      this.timeout(5_000);
+
+      let toolArgs;
+      client.addTool(
+        {
+          name: 'get_weather',
+          description: 'Gets the weather',
+          parameters: { type: 'object', properties: {} },
+        },
+        async (args) => {
+          toolArgs = args;
+          return { temperature: 20 };
+        },
+      );
+      server.queueResponse({
+        functionCall: { name: 'get_weather', arguments: { city: 'Paris' } },
+      });
+      server.queueResponse({ text: 'It is 20 degrees' });
+      const completed = collectCompletedItems(3);
+      client.createResponse();
+
+      const [callItem, outputItem, answerItem] = await completed;
+
+      expect(callItem.type).to.equal('function_call');
+      expect(toolArgs).to.deep.equal({ city: 'Paris' });
+      expect(outputItem.type).to.equal('function_call_output');
+      expect(JSON.parse(outputItem.formatted.output)).to.deep.equal({
+        temperature: 20,
+      });
+      expect(answerItem.formatted.text).to.equal('It is 20 degrees');
+    });
+
+    it('Should detect speech in server VAD mode', async function () {
+      this.timeout(5_000);
+
+      client.updateSession({
+        turn_detection: { type: 'server_vad', threshold: 0.5 },
+        input_audio_transcription: { model: 'whisper-1' },
+      });
+      let interrupted = false;
+      client.on('conversation.interrupted', () => (interrupted = true));
+      server.queueResponse({ text: 'I heard you' });
+      const completed = collectCompletedItems(2);
+      client.appendInputAudio(new Int16Array(2400).fill(0));
+      client.appendInputAudio(new Int16Array(2400).fill(30_000));
+      client.appendInputAudio(new Int16Array(7200).fill(0));
+
+      const [userItem, item] = await completed;
+
+      expect(interrupted).to.equal(true);
+      expect(userItem.role).to.equal('user');
+      expect(userItem.content[0].type).to.equal('input_audio');
+      expect(userItem.formatted.transcript).to.equal(
+        'Hello from the microphone',
+      );
+      expect(item.formatted.text).to.equal('I heard you');
+    });
+
+    it('Should send an error event for unknown client events', async () => {
+      client.realtime.send('conversation.unknown');
+      const event = await client.realtime.waitForNext('server.error', 1000);
+
+      expect(event).to.exist;
+      expect(event.error.message).to.contain('conversation.unknown');
+    });
+
+    it('Should keep handling events after an event fails', async () => {
+      // An odd number of bytes can not be read as PCM16
+      client.realtime.send('input_audio_buffer.append', { audio: 'AAAA' });
+      const event = await client.realtime.waitForNext('server.error', 1000);
+      expect(event.error.type).to.equal('server_error');
+
+      client.realtime.send('session.update', { session: {} });
+      const updated = await client.realtime.waitForNext(
+        'server.session.updated',
+        1000,
+      );
+      expect(updated).to.exist;
+    });
+  });
+}
@@ -0,0 +1,159 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  RealtimeClient,
+  RealtimeMockServer,
+  RealtimeRecorder,
+  RealtimeReplayer,
+} from '../../index.js';
+
+export async function run({ debug = false } = {}) {
+  describe('RealtimeRecorder and RealtimeReplayer', () => {
+    let server;
+    let filename;
+
+    before(async () => {
+      server = new RealtimeMockServer();
+      await server.listen();
+      filename = path.join(
+        fs.mkdtempSync(path.join(os.tmpdir(), 'realtime-')),
+        'session.jsonl',
+      );
+    });
+
+    after(async () => {
+      await server.close();
+      fs.rmSync(path.dirname(filename), { recursive: true, force: true });
+    });
+
+    it('Should record a session to JSONL with audio stripped', async function () {
+      this.timeout(5_000);
+
+      const client = new RealtimeClient({ url: server.url, debug });
+      const recorder = new RealtimeRecorder(client, { stripAudio: true });
+      await recorder.start(filename);
+      await client.connect();
+      server.queueResponse({
+        audio: new Int16Array(4800).fill(1000),
+        transcript: 'Recorded answer',
+      });
+      const completed = new Promise((r) =>
+        client.on('conversation.item.completed', ({ item }) => {
+          item.role === 'assistant' && r(item);
+        }),
+      );
+      client.sendUserMessageContent([{ type: 'input_text', text: 'Hello' }]);
+      await completed;
+      client.disconnect();
+      const count = await recorder.stop();
+
+      const records = RealtimeReplayer.parse(fs.readFileSync(filename, 'utf8'));
+      const audioDeltas = records.filter(
+        (r) => r.event.type === 'response.audio.delta',
+      );
+
+      expect(count).to.equal(records.length);
+      expect(records.some((r) => r.source === 'client')).to.equal(true);
+      expect(records.some((r) => r.source === 'server')).to.equal(true);
+      expect(audioDeltas.length).to.be.greaterThan(0);
+      expect(audioDeltas.every((r) => r.event.delta === '')).to.equal(true);
+    });
+
+    it('Should replay a recording into a fresh client', async () => {
+      const client = new RealtimeClient({ debug });
+      const replayer = new RealtimeReplayer(client);
+      await replayer.load(filename);
+      const count = await replayer.play({ speed: Infinity });
+
+      const items = client.conversation.getItems();
+
+      expect(count).to.be.greaterThan(0);
+      expect(items.length).to.equal(2);
+      expect(items[0].formatted.text).to.equal('Hello');
+      expect(items[1].status).to.equal('completed');
+      expect(items[1].formatted.transcript).to.equal('Recorded answer');
+    });
+
+    it('Should not call tools when replaying function calls', async function () {
+      this.timeout(5_000);
+
+      const toolFilename = path.join(path.dirname(filename), 'tools.jsonl');
+      const recorded = new RealtimeClient({ url: server.url, debug });
+      recorded.addTool({ name: 'lookup', parameters: {} }, () => ({
+        temperature: 20,
+      }));
+      const recorder = new RealtimeRecorder(recorded);
+      await recorder.start(toolFilename);
+      await recorded.connect();
+      server.queueResponse({
+        functionCall: { name: 'lookup', arguments: { city: 'Paris' } },
+      });
+      server.queueResponse({ text: 'It is 20 degrees' });
+      const answered = recorded.waitForNextCompletedItem({
+        predicate: ({ item }) => item.role === 'assistant',
+      });
+      recorded.sendUserMessageContent([{ type: 'input_text', text: 'Hi' }]);
+      await answered;
+      recorded.disconnect();
+      await recorder.stop();
+
+      const unhandled = [];
+      const onUnhandled = (reason) => unhandled.push(reason);
+      process.on('unhandledRejection', onUnhandled);
+      try {
+        const client = new RealtimeClient({ debug });
+        const calls = [];
+        client.addTool({ name: 'lookup', parameters: {} }, (args) => {
+          calls.push(args);
+          return {};
+        });
+        const replayer = new RealtimeReplayer(client);
+        await replayer.load(toolFilename);
+        await replayer.play({ speed: Infinity });
+        await new Promise((r) => setTimeout(r, 10));
+
+        expect(calls).to.deep.equal([]);
+        expect(
+          client.conversation.getItems().map((item) => item.type),
+        ).to.deep.equal([
+          'message',
+          'function_call',
+          'function_call_output',
+          'message',
+        ]);
+      } finally {
+        process.off('unhandledRejection', onUnhandled);
+      }
+      expect(unhandled).to.deep.equal([]);
+    });
+
+    it('Should replay with accelerated timing', async () => {
+      const client = new RealtimeClient({ debug });
+      const replayer = new RealtimeReplayer(client);
+      const t0 = Date.now();
+      await replayer.load([
+        {
+          time: new Date(t0).toISOString(),
+          source: 'server',
+          event: { event_id: 'evt_1', type: 'session.created', session: {} },
+        },
+        {
+          time: new Date(t0 + 200).toISOString(),
+          source: 'server',
+          event: { event_id: 'evt_2', type: 'session.updated', session: {} },
+        },
+      ]);
+      const start = Date.now();
+      await replayer.play({ speed: 4 });
+      const elapsed = Date.now() - start;
+
+      expect(client.sessionCreated).to.equal(true);
+      expect(elapsed).to.be.within(40, 150);
+    });
+  });
+}
@@ -0,0 +1,133 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+
+import { RealtimeAPI, RealtimeSchema } from '../../index.js';
+
+export async function run({ debug = false } = {}) {
+  describe('RealtimeSchema', () => {
+    it('Should accept valid client events', () => {
+      const events = [
+        ['response.create', {}],
+        ['input_audio_buffer.append', { audio: 'AAAA' }],
+        [
+          'session.update',
+          {
+            session: {
+              instructions: 'Be nice',
+              turn_detection: null,
+              tool_choice: { type: 'function', name: 'get_weather' },
+              max_response_output_tokens: 'inf',
+            },
+          },
+        ],
+        [
+          'conversation.item.create',
+          {
+            previous_item_id: null,
+            item: {
+              type: 'message',
+              role: 'user',
+              content: [{ type: 'input_text', text: 'Hello' }],
+            },
+          },
+        ],
+        [
+          'conversation.item.create',
+          {
+            item: {
+              type: 'function_call_output',
+              call_id: 'call_1',
+              output: '{}',
+            },
+          },
+        ],
+      ];
+      for (const [eventName, event] of events) {
+        expect(
+          RealtimeSchema.validateClientEvent(eventName, event),
+        ).to.deep.equal([]);
+      }
+    });
+
+    it('Should detect unknown client events', () => {
+      const errors = RealtimeSchema.validateClientEvent('response.creat', {});
+
+      expect(errors.length).to.equal(1);
+      expect(errors[0].message).to.contain(
+        'Unknown client event "response.creat"',
+      );
+    });
+
+    it('Should name the bad field', () => {
+      const errors = RealtimeSchema.validateClientEvent(
+        'conversation.item.create',
+        {
+          item: {
+            type: 'message',
+            role: 'user',
+            content: [{ type: 'text', text: 'Hello' }],
+          },
+        },
+      );
+      const missing = RealtimeSchema.validateClientEvent(
+        'conversation.item.truncate',
+        { item_id: 'item_1', content_index: 0 },
+      );
+      const unknown = RealtimeSchema.validateClientEvent('session.update', {
+        session: { instruction: 'Be nice' },
+      });
+
+      expect(errors[0].path).to.equal('item.content.0.type');
+      expect(errors[0].message).to.contain('"input_text", "input_audio"');
+      expect(missing[0].path).to.equal('audio_end_ms');
+      expect(missing[0].message).to.equal('"audio_end_ms" is required');
+      expect(unknown[0].message).to.equal(
+        'Unknown field "session.instruction"',
+      );
+    });
+
+    describe('RealtimeAPI validation', () => {
+      const transport = { send: () => {}, close: () => {} };
+
+      it('Should throw on invalid events in "strict" mode', async () => {
+        const realtime = new RealtimeAPI({
+          transport,
+          validate: 'strict',
+          debug,
+        });
+        await realtime.connect();
+        let err;
+
+        try {
+          realtime.send('conversation.item.create', { item: {} });
+        } catch (e) {
+          err = e;
+        }
+
+        expect(err).to.exist;
+        expect(err.message).to.contain('"item.type" is required');
+      });
+
+      it('Should warn and send invalid events in "warn" mode', async () => {
+        const sent = [];
+        const realtime = new RealtimeAPI({
+          transport: { send: (data) => sent.push(data), close: () => {} },
+          validate: 'warn',
+          debug,
+        });
+        await realtime.connect();
+        const warn = console.warn;
+        const warnings = [];
+        console.warn = (...args) => warnings.push(args.join(' '));
+        try {
+          realtime.send('input_audio_buffer.commit', { audio: 'AAAA' });
+        } finally {
+          console.warn = warn;
+        }
+
+        expect(sent.length).to.equal(1);
+        expect(warnings[0]).to.contain('Unknown field "audio"');
+      });
+    });
+  });
+}
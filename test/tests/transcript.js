@@ -0,0 +1,173 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+
+import { RealtimeConversation, RealtimeTranscript } from '../../index.js';
+
+/**
+ * A user turn detected by server VAD, a tool call and a spoken answer
+ */
+function createConversation() {
+  const conversation = new RealtimeConversation();
+  let eventCount = 0;
+  const process = (type, payload) =>
+    conversation.processEvent(
+      { event_id: `event_${++eventCount}`, type, ...payload },
+      ...(type === 'input_audio_buffer.speech_stopped'
+        ? [new Int16Array(24_000 * 3)]
+        : []),
+    );
+  process('input_audio_buffer.speech_started', {
+    item_id: 'item_1',
+    audio_start_ms: 500,
+  });
+  process('input_audio_buffer.speech_stopped', {
+    item_id: 'item_1',
+    audio_end_ms: 2000,
+  });
+  process('conversation.item.created', {
+    item: {
+      id: 'item_1',
+      type: 'message',
+      role: 'user',
+      content: [{ type: 'input_audio', transcript: null }],
+    },
+  });
+  process('conversation.item.input_audio_transcription.completed', {
+    item_id: 'item_1',
+    content_index: 0,
+    transcript: "What's the weather in <Paris>?",
+  });
+  process('conversation.item.created', {
+    item: {
+      id: 'item_2',
+      type: 'function_call',
+      call_id: 'call_1',
+      name: 'get_weather',
+      arguments: '{"city":"Paris"}',
+    },
+  });
+  process('conversation.item.created', {
+    item: {
+      id: 'item_3',
+      type: 'function_call_output',
+      call_id: 'call_1',
+      output: '{"temp":20}',
+    },
+  });
+  process('conversation.item.created', {
+    item: {
+      id: 'item_4',
+      type: 'message',
+      role: 'assistant',
+      content: [{ type: 'text', text: 'It is 20 degrees.\n\nEnjoy!' }],
+    },
+  });
+  conversation.getItem('item_4').formatted.audio = new Int16Array(36_000);
+  return conversation;
+}
+
+export async function run({ debug = false } = {}) {
+  describe('RealtimeTranscript', () => {
+    it('Should keep VAD timings on user items', () => {
+      const conversation = createConversation();
+      const item = conversation.getItem('item_1');
+      expect(item.formatted.audio_start_ms).to.equal(500);
+      expect(item.formatted.audio_end_ms).to.equal(2000);
+      expect(item.formatted.audio.length).to.equal(36_000);
+    });
+
+    it('Should time cues from VAD and audio sample counts', () => {
+      const cues = RealtimeTranscript.getCues(createConversation());
+      expect(
+        cues.map(({ speaker, start, end }) => ({ speaker, start, end })),
+      ).to.deep.equal([
+        { speaker: 'user', start: 500, end: 2000 },
+        { speaker: 'tool', start: 2000, end: 3000 },
+        { speaker: 'tool', start: 2000, end: 3000 },
+        { speaker: 'assistant', start: 2000, end: 3500 },
+      ]);
+    });
+
+    it('Should export WebVTT', () => {
+      const vtt = RealtimeTranscript.toWebVTT(createConversation(), {
+        speakers: { user: 'Customer', assistant: 'Agent' },
+      });
+      expect(vtt).to.equal(
+        [
+          'WEBVTT',
+          '',
+          '1',
+          '00:00:00.500 --> 00:00:02.000',
+          "<v Customer>What's the weather in &lt;Paris&gt;?",
+          '',
+          '2',
+          '00:00:02.000 --> 00:00:03.000',
+          '<v Tool>get_weather({"city":"Paris"})',
+          '',
+          '3',
+          '00:00:02.000 --> 00:00:03.000',
+          '<v Tool>get_weather returned {"temp":20}',
+          '',
+          '4',
+          '00:00:02.000 --> 00:00:03.500',
+          '<v Agent>It is 20 degrees.',
+          'Enjoy!',
+          '',
+        ].join('\n'),
+      );
+    });
+
+    it('Should export SRT without tool calls', () => {
+      const srt = RealtimeTranscript.toSRT(createConversation(), {
+        includeTools: false,
+      });
+      expect(srt).to.equal(
+        [
+          '1',
+          '00:00:00,500 --> 00:00:02,000',
+          "User: What's the weather in <Paris>?",
+          '',
+          '2',
+          '00:00:02,000 --> 00:00:03,500',
+          'Assistant: It is 20 degrees.',
+          'Enjoy!',
+          '',
+        ].join('\n'),
+      );
+    });
+
+    it('Should export Markdown and plain text', () => {
+      const conversation = createConversation();
+      expect(RealtimeTranscript.toMarkdown(conversation)).to.equal(
+        [
+          "**User:** What's the weather in <Paris>?",
+          '',
+          '**Tool:** `get_weather({"city":"Paris"})`',
+          '',
+          '**Tool:** `get_weather` returned `{"temp":20}`',
+          '',
+          '**Assistant:** It is 20 degrees.\n\nEnjoy!',
+          '',
+        ].join('\n'),
+      );
+      expect(
+        RealtimeTranscript.toText(conversation.getItems(), {
+          timestamps: true,
+          includeTools: false,
+        }),
+      ).to.equal(
+        [
+          "[00:00:00.500] User: What's the weather in <Paris>?",
+          '[00:00:02.000] Assistant: It is 20 degrees.\n\nEnjoy!',
+          '',
+        ].join('\n'),
+      );
+    });
+
+    it('Should format times past an hour', () => {
+      expect(RealtimeTranscript.formatTime(3_723_004.4, ',')).to.equal(
+        '01:02:03,004',
+      );
+    });
+  });
+}
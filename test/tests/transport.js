@@ -0,0 +1,182 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+
+import { WebSocketServer } from 'ws';
+
+import { RealtimeAPI } from '../../index.js';
+
+export async function run({ debug = false } = {}) {
+  describe('RealtimeAPI transports', () => {
+    describe('In-memory transport', () => {
+      let realtime;
+      let sent = [];
+      const transport = {
+        onmessage: null,
+        onclose: null,
+        open: (url) => {
+          transport.url = url;
+        },
+        send: (data) => sent.push(JSON.parse(data)),
+        close: () => transport.onclose && transport.onclose(),
+      };
+
+      it('Should reject a transport without send() and close()', () => {
+        let err;
+
+        try {
+          new RealtimeAPI({ transport: { onmessage: null } });
+        } catch (e) {
+          err = e;
+        }
+
+        expect(err).to.exist;
+        expect(err.message).to.contain('"transport"');
+      });
+
+      it('Should connect through the injected transport', async () => {
+        realtime = new RealtimeAPI({
+          url: 'wss://example.com/realtime',
+          transport,
+          debug,
+        });
+        const isConnected = await realtime.connect({ model: 'test-model' });
+
+        expect(isConnected).to.equal(true);
+        expect(realtime.isConnected()).to.equal(true);
+        expect(transport.url).to.equal(
+          'wss://example.com/realtime?model=test-model',
+        );
+      });
+
+      it('Should send and receive events', async () => {
+        realtime.send('response.create');
+
+        expect(sent.length).to.equal(1);
+        expect(sent[0].type).to.equal('response.create');
+
+        const received = [];
+        realtime.on('server.session.created', (event) => received.push(event));
+        transport.onmessage(
+          JSON.stringify({ event_id: 'evt_1', type: 'session.created' }),
+        );
+        transport.onmessage({ event_id: 'evt_2', type: 'session.created' });
+
+        expect(received.length).to.equal(2);
+        expect(received[1].event_id).to.equal('evt_2');
+      });
+
+      it('Should dispatch "close" on disconnect', async () => {
+        let closeEvent;
+        realtime.on('close', (event) => (closeEvent = event));
+        realtime.disconnect();
+
+        expect(realtime.isConnected()).to.equal(false);
+        expect(closeEvent).to.deep.equal({ error: false });
+      });
+    });
+
+    describe('WebSocket transport', () => {
+      let server;
+      let url;
+      let requests = [];
+
+      before(async () => {
+        server = new WebSocketServer({ port: 0 });
+        server.on('connection', (socket, request) => requests.push(request));
+        await new Promise((r) => server.on('listening', r));
+        url = `ws://localhost:${server.address().port}/v1/realtime?api-version=1`;
+      });
+
+      after(async () => {
+        await new Promise((r) => server.close(r));
+      });
+
+      it('Should honor url, model and headers', async () => {
+        const realtime = new RealtimeAPI({
+          url,
+          apiKey: 'sk-test',
+          headers: { 'api-key': 'azure-key' },
+          debug,
+        });
+        await realtime.connect({ model: 'my-deployment' });
+        await new Promise((r) => setTimeout(r, 50));
+        realtime.disconnect();
+
+        expect(requests.length).to.equal(1);
+        expect(requests[0].url).to.equal(
+          '/v1/realtime?api-version=1&model=my-deployment',
+        );
+        expect(requests[0].headers['authorization']).to.equal('Bearer sk-test');
+        expect(requests[0].headers['openai-beta']).to.equal('realtime=v1');
+        expect(requests[0].headers['api-key']).to.equal('azure-key');
+      });
+
+      it('Should send headers when a global WebSocket exists', async () => {
+        // Node.js 22 has a global WebSocket that can not set headers
+        const globalWebSocket = globalThis.WebSocket;
+        globalThis.WebSocket = (await import('ws')).default;
+        requests = [];
+        try {
+          const realtime = new RealtimeAPI({
+            url,
+            headers: { 'api-key': 'azure-key' },
+            debug,
+          });
+          await realtime.connect();
+          await new Promise((r) => setTimeout(r, 50));
+          realtime.disconnect();
+        } finally {
+          globalThis.WebSocket = globalWebSocket;
+        }
+
+        expect(requests.length).to.equal(1);
+        expect(requests[0].headers['api-key']).to.equal('azure-key');
+      });
+
+      it('Should use an injected WebSocket factory', async () => {
+        const calls = [];
+        const WebSocket = (await import('ws')).default;
+        const realtime = new RealtimeAPI({
+          url,
+          transport: (url, protocols, options) => {
+            calls.push({ url, protocols, options });
+            return new WebSocket(url, [], options);
+          },
+          debug,
+        });
+        await realtime.connect();
+        realtime.disconnect();
+
+        expect(calls.length).to.equal(1);
+        expect(calls[0].protocols).to.include('openai-beta.realtime-v1');
+      });
+
+      it('Should reconnect after an unexpected close', async () => {
+        const realtime = new RealtimeAPI({
+          url,
+          reconnect: { initialDelay: 10, jitter: 0 },
+          debug,
+        });
+        const events = [];
+        realtime.on('reconnecting', (event) =>
+          events.push(['reconnecting', event]),
+        );
+        realtime.on('reconnected', (event) =>
+          events.push(['reconnected', event]),
+        );
+        await realtime.connect();
+        for (const socket of server.clients) {
+          socket.terminate();
+        }
+        await new Promise((r) => realtime.on('reconnected', r));
+        const isConnected = realtime.isConnected();
+        realtime.disconnect();
+
+        expect(isConnected).to.equal(true);
+        expect(events[0][0]).to.equal('reconnecting');
+        expect(events[0][1].attempt).to.equal(1);
+        expect(events[1][0]).to.equal('reconnected');
+      });
+    });
+  });
+}
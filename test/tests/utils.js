@@ -0,0 +1,45 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+
+import { RealtimeUtils } from '../../index.js';
+
+export async function run({ debug = false } = {}) {
+  describe('RealtimeUtils', () => {
+    it('Should encode and decode WAV files', () => {
+      const audio = new Int16Array([0, 1, -1, 0x7fff, -0x8000, 1234]);
+      const wav = RealtimeUtils.encodeWAV(audio, { channels: 2 });
+      expect(wav.byteLength).to.equal(44 + audio.byteLength);
+      const header = new DataView(wav);
+      expect(header.getUint32(24, true)).to.equal(24_000);
+      expect(header.getUint32(28, true)).to.equal(24_000 * 2 * 2);
+      const decoded = RealtimeUtils.decodeWAV(new Uint8Array(wav));
+      expect(decoded.sampleRate).to.equal(24_000);
+      expect(decoded.channels).to.equal(2);
+      expect(decoded.audio).to.deep.equal(audio);
+    });
+
+    it('Should skip unknown WAV chunks', () => {
+      const wav = new Uint8Array(RealtimeUtils.encodeWAV(new Int16Array([7])));
+      // Insert an odd-sized "LIST" chunk between "fmt " and "data"
+      const list = new Uint8Array([76, 73, 83, 84, 3, 0, 0, 0, 1, 2, 3, 0]);
+      const withList = new Uint8Array(wav.length + list.length);
+      withList.set(wav.subarray(0, 36), 0);
+      withList.set(list, 36);
+      withList.set(wav.subarray(36), 36 + list.length);
+      expect(RealtimeUtils.decodeWAV(withList).audio).to.deep.equal(
+        new Int16Array([7]),
+      );
+    });
+
+    it('Should reject unsupported WAV files', () => {
+      expect(() => RealtimeUtils.decodeWAV(new ArrayBuffer(4))).to.throw(
+        'missing RIFF/WAVE header',
+      );
+      const wav = RealtimeUtils.encodeWAV(new Int16Array([1]));
+      new DataView(wav).setUint16(34, 8, true);
+      expect(() => RealtimeUtils.decodeWAV(wav)).to.throw(
+        'only 16-bit PCM can be decoded',
+      );
+    });
+  });
+}